@@ -2,39 +2,236 @@
 
 class CourseScheduleManager {
     constructor() {
+        this.validator = new TimetableValidator();
+        this.core = new ScheduleCore(this.validator);
         this.courses = [];
+        this.dataProblems = [];
+        this.loadError = null;
+        this.cachedAt = null;
         this.selectedCourses = new Map();
+        this.personalEvents = [];
+        this.busyCalendars = [];
+        this.icsParser = new ICSParser();
         this.courseColors = {};
         this.colorIndex = 0;
         this.maxColors = 10;
+        this.plans = [];
+        this.activePlanId = null;
+        this.sharedPlan = null;
+        this.timetableChanges = { items: [], changedSessions: new Set() };
+        this.scheduleViews = ['grid', 'list', 'today'];
+        this.gridSettings = { view: 'grid', slotMinutes: 30, rowHeight: 30 };
+        this.pdfSettings = { format: 'a4', orientation: 'landscape' };
+        // Mirrors the .course-color-N classes for exports drawn without CSS
+        this.personalColor = { fill: '#E0E0DC', text: '#13343B' };
+        this.colorPalette = [
+            { fill: '#1FB8CD', text: '#FFFFFF' },
+            { fill: '#FFC185', text: '#13343B' },
+            { fill: '#B4413C', text: '#FFFFFF' },
+            { fill: '#5D878F', text: '#FFFFFF' },
+            { fill: '#DB4545', text: '#FFFFFF' },
+            { fill: '#D2BA4C', text: '#13343B' },
+            { fill: '#964325', text: '#FFFFFF' },
+            { fill: '#944454', text: '#FFFFFF' },
+            { fill: '#13343B', text: '#FFFFFF' },
+            { fill: '#ECEBD5', text: '#13343B' }
+        ];
+        this.gridLayout = null;
         this.isDropdownVisible = false;
+        this.activeOption = -1;
+        this.filters = {
+            department: '',
+            days: [],
+            after: '',
+            before: '',
+            label: '',
+            classroom: '',
+            fitsSchedule: false
+        };
+        this.backToBackMinutes = 15;
+        this.maxGeneratedSchedules = 2000;
+        this.maxSearchedSchedules = 100000;
+        this.maxRenderedSchedules = 20;
+        this.generator = {
+            groups: [],
+            sortBy: 'days',
+            earliestStart: '10:00',
+            results: [],
+            found: 0,
+            searchedAll: true
+        };
+        this.terms = [];
+        this.defaultTermId = null;
+        this.activeTermId = null;
+        this.termSettings = this.createTermSettings();
 
         // Async initialization
         this.init();
     }
 
     async init() {
+        await this.loadTerms();
         await this.initializeData();
         this.initializeElements();
         this.bindEvents();
+        this.renderTerms();
+        this.renderDataProblems();
+        this.renderOfflineNotice();
         this.loadFromStorage();
+        this.readSharedPlanFromURL();
+        this.renderPlans();
+        this.renderTermSettings();
+        this.renderGridSettings();
+        this.renderFilterOptions();
+        this.renderGeneratorOptions();
+        this.renderRoomOptions();
+        this.renderSharedView();
+        this.renderChanges();
+        this.renderBusyCalendars();
         this.renderSelectedCourses();
         this.renderCalendar();
+        this.editor = new TimetableEditor(this);
+
+        // Keeps the Today view's live indicator and countdown current
+        setInterval(() => this.renderAgenda(), 30 * 1000);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.renderAgenda();
+        });
+    }
+
+    // Terms Functions
+    // terms.json lists the timetable file of every term:
+    //   { defaultTerm, terms: [{ id, name, file, startDate?, endDate?, timezone? }] }
+    async loadTerms() {
+        try {
+            const response = await fetch('terms.json');
+            if (!response.ok) throw new Error(`Failed to load term list (HTTP ${response.status})`);
+            const manifest = await response.json();
+            this.terms = (Array.isArray(manifest.terms) ? manifest.terms : [])
+                .filter(term => term && term.id && term.file)
+                .map(term => ({ ...term, id: String(term.id), name: String(term.name || term.id) }));
+            if (this.terms.length === 0) throw new Error('terms.json lists no terms');
+            this.defaultTermId = this.terms.some(term => term.id === manifest.defaultTerm) ? manifest.defaultTerm : this.terms[0].id;
+        } catch (error) {
+            console.warn('Could not load terms.json, using merged_timetable.json only:', error);
+            this.terms = [{ id: 'default', name: 'Current term', file: 'merged_timetable.json' }];
+            this.defaultTermId = 'default';
+        }
+
+        let savedTermId = null;
+        try {
+            savedTermId = localStorage.getItem('activeTerm');
+        } catch (error) {
+            console.warn('Could not load from localStorage:', error);
+        }
+
+        // A shared link opens the term it was made in without changing the saved choice
+        const candidates = [this.getSharedTermId(), savedTermId, this.defaultTermId];
+        this.activeTermId = candidates.find(id => this.terms.some(term => term.id === id));
+        this.termSettings = this.createTermSettings();
+    }
+
+    getActiveTerm() {
+        return this.terms.find(term => term.id === this.activeTermId);
+    }
+
+    // Plans and term dates are kept per term, e.g. 'plans:monsoon-2025'
+    getStorageKey(name) {
+        return `${name}:${this.activeTermId}`;
+    }
+
+    createTermSettings(term = this.getActiveTerm()) {
+        return {
+            startDate: term?.startDate || '',
+            endDate: term?.endDate || '',
+            holidays: '',
+            timezone: term?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+        };
+    }
+
+    renderTerms() {
+        this.elements.termSelect.innerHTML = this.terms.map(term =>
+            `<option value="${this.escapeHTML(term.id)}">${this.escapeHTML(term.name)}</option>`
+        ).join('');
+        this.elements.termSelect.value = this.activeTermId;
+    }
+
+    async switchTerm(termId) {
+        if (termId === this.activeTermId || !this.terms.some(term => term.id === termId)) return;
+
+        this.saveToStorage();
+        this.activeTermId = termId;
+        try {
+            localStorage.setItem('activeTerm', termId);
+        } catch (error) {
+            console.warn('Could not save to localStorage:', error);
+        }
+
+        this.showLoading();
+        try {
+            this.generator.groups = [];
+            await this.initializeData();
+            this.loadFromStorage();
+            this.renderTermSettings();
+            this.renderDataProblems();
+            this.renderOfflineNotice();
+            this.setCourses(this.courses);
+            this.editor.loadCourses(this.courses);
+            this.editor.renderCourses();
+        } finally {
+            this.hideLoading();
+        }
     }
 
     async initializeData() {
-        // Load course data from merged_timetable.json
+        // Load course data from the active term's timetable file
         try {
-            const response = await fetch('merged_timetable.json');
-            if (!response.ok) throw new Error('Failed to load timetable data');
+            const response = await fetch(this.getActiveTerm().file);
+            if (!response.ok) throw new Error(`Failed to load timetable data (HTTP ${response.status})`);
             const timetableData = await response.json();
-            this.courses = timetableData.timetable;
+            const { courses, problems } = this.validator.validate(timetableData.timetable);
+            this.courses = courses;
+            this.dataProblems = problems;
+            this.loadError = null;
+            // Set by sw.js when the network was unreachable and the saved copy was served
+            this.cachedAt = response.headers.get('X-Timetable-Cached-At');
         } catch (error) {
             console.error('Error loading timetable data:', error);
             this.courses = [];
+            this.dataProblems = [];
+            this.loadError = error;
+            this.cachedAt = null;
         }
     }
 
+    async retryLoad() {
+        await this.initializeData();
+        this.loadFromStorage();
+        this.setCourses(this.courses);
+        this.renderDataProblems();
+        this.renderOfflineNotice();
+        this.editor.loadCourses(this.courses);
+    }
+
+    // Swaps in a new course list (e.g. from the editor) and re-resolves the
+    // active plan against it. The list goes through the validator so derived
+    // fields such as aliases are always present.
+    setCourses(courses) {
+        this.courses = this.validator.validate(courses).courses;
+        this.applyPlan(this.sharedPlan || this.getActivePlan());
+
+        this.generator.results = [];
+        this.renderPlans();
+        this.renderFilterOptions();
+        this.renderGeneratorOptions();
+        this.renderRoomOptions();
+        this.renderChanges();
+        this.renderSelectedCourses();
+        this.renderCalendar();
+        this.renderCompare();
+        this.renderRoomView();
+    }
+
     initializeElements() {
         this.elements = {
             searchInput: document.getElementById('courseSearch'),
@@ -42,12 +239,90 @@ class CourseScheduleManager {
             dropdownContent: document.getElementById('dropdownContent'),
             selectedCoursesList: document.getElementById('selectedCoursesList'),
             calendarGrid: document.getElementById('calendarGrid'),
+            calendarContainer: document.getElementById('calendarContainer'),
+            scheduleList: document.getElementById('scheduleList'),
+            agenda: document.getElementById('agenda'),
             conflictWarning: document.getElementById('conflictWarning'),
+            conflictList: document.getElementById('conflictList'),
             tooltip: document.getElementById('tooltip'),
             loadingOverlay: document.getElementById('loadingOverlay'),
+            termSelect: document.getElementById('termSelect'),
+            eventForm: document.getElementById('eventForm'),
+            eventTitle: document.getElementById('eventTitle'),
+            eventDay: document.getElementById('eventDay'),
+            eventStart: document.getElementById('eventStart'),
+            eventEnd: document.getElementById('eventEnd'),
+            eventLocation: document.getElementById('eventLocation'),
+            eventList: document.getElementById('eventList'),
+            statsPanel: document.getElementById('statsPanel'),
+            roomsPanel: document.getElementById('roomsPanel'),
+            roomSelect: document.getElementById('roomSelect'),
+            roomSummary: document.getElementById('roomSummary'),
+            roomGrid: document.getElementById('roomGrid'),
+            freeRoomForm: document.getElementById('freeRoomForm'),
+            freeRoomDay: document.getElementById('freeRoomDay'),
+            freeRoomStart: document.getElementById('freeRoomStart'),
+            freeRoomEnd: document.getElementById('freeRoomEnd'),
+            freeRoomResults: document.getElementById('freeRoomResults'),
+            busyImport: document.getElementById('busyImport'),
+            busyList: document.getElementById('busyList'),
+            busyReport: document.getElementById('busyReport'),
+            dataProblems: document.getElementById('dataProblems'),
+            offlineNotice: document.getElementById('offlineNotice'),
+            changesPanel: document.getElementById('changesPanel'),
             exportICS: document.getElementById('exportICS'),
             exportPDF: document.getElementById('exportPDF'),
-            exportPNG: document.getElementById('exportPNG')
+            exportPNG: document.getElementById('exportPNG'),
+            exportCSV: document.getElementById('exportCSV'),
+            exportMarkdown: document.getElementById('exportMarkdown'),
+            exportBackup: document.getElementById('exportBackup'),
+            restoreBackup: document.getElementById('restoreBackup'),
+            termStart: document.getElementById('termStart'),
+            termEnd: document.getElementById('termEnd'),
+            termTimezone: document.getElementById('termTimezone'),
+            termHolidays: document.getElementById('termHolidays'),
+            generatorCourseSelect: document.getElementById('generatorCourseSelect'),
+            generatorAdd: document.getElementById('generatorAdd'),
+            generatorGroups: document.getElementById('generatorGroups'),
+            generatorSort: document.getElementById('generatorSort'),
+            generatorEarliest: document.getElementById('generatorEarliest'),
+            generatorRun: document.getElementById('generatorRun'),
+            generatorResults: document.getElementById('generatorResults'),
+            filterBar: document.getElementById('filterBar'),
+            filterDepartment: document.getElementById('filterDepartment'),
+            filterDays: document.getElementById('filterDays'),
+            filterAfter: document.getElementById('filterAfter'),
+            filterBefore: document.getElementById('filterBefore'),
+            filterLabel: document.getElementById('filterLabel'),
+            filterClassroom: document.getElementById('filterClassroom'),
+            filterFits: document.getElementById('filterFits'),
+            filterClear: document.getElementById('filterClear'),
+            planSelect: document.getElementById('planSelect'),
+            planNew: document.getElementById('planNew'),
+            planDuplicate: document.getElementById('planDuplicate'),
+            planRename: document.getElementById('planRename'),
+            planDelete: document.getElementById('planDelete'),
+            planCompare: document.getElementById('planCompare'),
+            compareSection: document.getElementById('compareSection'),
+            compareA: document.getElementById('compareA'),
+            compareB: document.getElementById('compareB'),
+            compareClose: document.getElementById('compareClose'),
+            compareSummary: document.getElementById('compareSummary'),
+            compareTitleA: document.getElementById('compareTitleA'),
+            compareTitleB: document.getElementById('compareTitleB'),
+            compareGridA: document.getElementById('compareGridA'),
+            compareGridB: document.getElementById('compareGridB'),
+            planShare: document.getElementById('planShare'),
+            sharedBanner: document.getElementById('sharedBanner'),
+            sharedTitle: document.getElementById('sharedTitle'),
+            sharedMissing: document.getElementById('sharedMissing'),
+            sharedImport: document.getElementById('sharedImport'),
+            sharedExit: document.getElementById('sharedExit'),
+            gridView: document.getElementById('gridView'),
+            gridSlotMinutes: document.getElementById('gridSlotMinutes'),
+            gridRowHeight: document.getElementById('gridRowHeight'),
+            pdfFormat: document.getElementById('pdfFormat'),
+            pdfOrientation: document.getElementById('pdfOrientation')
         };
     }
 
@@ -56,286 +331,1749 @@ class CourseScheduleManager {
         this.elements.searchInput.addEventListener('input', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.handleSearch(e);
+            this.handleSearch();
         });
         
         this.elements.searchInput.addEventListener('focus', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.handleSearch(e);
+            this.handleSearch();
         });
         
-        this.elements.searchInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.hideDropdown();
-            }
-        });
+        this.elements.searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
 
         // Export button events
         this.elements.exportICS.addEventListener('click', () => this.exportICS());
         this.elements.exportPDF.addEventListener('click', () => this.exportPDF());
         this.elements.exportPNG.addEventListener('click', () => this.exportPNG());
+        this.elements.exportCSV.addEventListener('click', () => this.exportCSV());
+        this.elements.exportMarkdown.addEventListener('click', () => this.exportMarkdown());
+        this.elements.exportBackup.addEventListener('click', () => this.exportBackup());
+        this.elements.restoreBackup.addEventListener('change', (e) => this.restoreBackup(e.target.files[0]));
+
+        // Grid settings
+        ['gridView', 'gridSlotMinutes', 'gridRowHeight'].forEach(key => {
+            this.elements[key].addEventListener('change', () => this.updateGridSettings());
+        });
+
+        // PDF paper options
+        ['pdfFormat', 'pdfOrientation'].forEach(key => {
+            this.elements[key].addEventListener('change', () => this.updatePDFSettings());
+        });
+
+        // Term settings used by the ICS export
+        ['termStart', 'termEnd', 'termTimezone', 'termHolidays'].forEach(key => {
+            this.elements[key].addEventListener('change', () => this.updateTermSettings());
+        });
+
+        // Schedule generator events
+        this.elements.generatorAdd.addEventListener('click', () => {
+            this.addGeneratorGroup(this.elements.generatorCourseSelect.value);
+        });
+        this.elements.generatorRun.addEventListener('click', () => this.runGenerator());
+        // Only the best results are kept, so a new order needs a new search
+        this.elements.generatorSort.addEventListener('change', (e) => {
+            this.generator.sortBy = e.target.value;
+            if (this.generator.results.length > 0) this.runGenerator();
+        });
+        this.elements.generatorEarliest.addEventListener('change', (e) => {
+            this.generator.earliestStart = e.target.value || '10:00';
+            if (this.generator.results.length > 0) this.runGenerator();
+        });
+
+        // Plan events
+        this.elements.planSelect.addEventListener('change', (e) => this.switchPlan(e.target.value));
+        this.elements.planNew.addEventListener('click', () => this.createPlan());
+        this.elements.planDuplicate.addEventListener('click', () => this.duplicatePlan());
+        this.elements.planRename.addEventListener('click', () => this.renamePlan());
+        this.elements.planDelete.addEventListener('click', () => this.deletePlan());
+        this.elements.planCompare.addEventListener('click', () => this.showCompare());
+        this.elements.compareClose.addEventListener('click', () => this.hideCompare());
+        this.elements.termSelect.addEventListener('change', (e) => this.switchTerm(e.target.value));
+
+        // Personal events
+        this.elements.eventForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addPersonalEvent();
+        });
+        this.elements.busyImport.addEventListener('change', (e) => this.importBusyCalendar(e.target.files[0]));
+
+        // Room occupancy and free rooms
+        this.elements.roomsPanel.addEventListener('toggle', () => this.renderRoomView());
+        this.elements.roomSelect.addEventListener('change', () => this.renderRoomView());
+        this.elements.freeRoomForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.findFreeRooms();
+        });
+        this.elements.planShare.addEventListener('click', () => this.copyShareLink());
+        this.elements.sharedImport.addEventListener('click', () => this.importSharedPlan());
+        this.elements.sharedExit.addEventListener('click', () => this.exitSharedView());
+        window.addEventListener('hashchange', () => {
+            // Links into another term need that term's timetable loaded first
+            const sharedTerm = this.getSharedTermId();
+            if (sharedTerm && sharedTerm !== this.activeTermId && this.terms.some(term => term.id === sharedTerm)) {
+                location.reload();
+                return;
+            }
+            this.readSharedPlanFromURL();
+            this.renderSharedView();
+            this.renderChanges();
+            this.renderSelectedCourses();
+            this.renderCalendar();
+        });
+        this.elements.compareA.addEventListener('change', () => this.renderCompare());
+        this.elements.compareB.addEventListener('change', () => this.renderCompare());
+
+        // Filter bar events
+        this.elements.filterBar.addEventListener('change', () => this.updateFilters());
+        this.elements.filterClear.addEventListener('click', () => this.clearFilters());
 
         // Global click handler to close dropdown
         document.addEventListener('click', (e) => {
             if (!this.elements.searchInput.contains(e.target) && 
-                !this.elements.dropdown.contains(e.target)) {
+                !this.elements.dropdown.contains(e.target) &&
+                !this.elements.filterBar.contains(e.target)) {
                 this.hideDropdown();
             }
         });
     }
 
-    handleSearch(e) {
-        const query = e.target.value.toLowerCase().trim();
+    handleSearch() {
+        const query = this.elements.searchInput.value.toLowerCase().trim();
+        const hasFilters = this.getActiveFilterCount() > 0;
         
-        if (query === '') {
+        if (query === '' && !hasFilters) {
             this.hideDropdown();
             return;
         }
 
-        const filteredCourses = this.courses.filter(course => {
-            const codeMatch = course.courseCode.toLowerCase().includes(query);
-            const nameMatch = course.courseName.toLowerCase().includes(query);
-            return codeMatch || nameMatch;
-        });
+        const results = query === ''
+            ? this.courses.map(course => ({ course, score: 1, codeRanges: [], nameRanges: [] }))
+            : this.searchCourses(query);
 
-        this.renderDropdown(filteredCourses);
+        this.renderDropdown(this.applyFilters(results));
         this.showDropdown();
     }
 
-    renderDropdown(courses) {
-        this.elements.dropdownContent.innerHTML = '';
+    // Filter Functions
+    renderFilterOptions() {
+        const departments = {};
+        const labels = new Set();
+        const classrooms = new Set();
+        const days = new Set();
 
-        if (courses.length === 0) {
-            this.elements.dropdownContent.innerHTML = `
-                <div class="dropdown-item" style="cursor: default; opacity: 0.6;">
-                    <span>No courses found</span>
-                </div>
-            `;
-            return;
-        }
+        this.courses.forEach(course => {
+            const prefixes = new Set(course.aliases.map(alias => this.getDepartment(alias)).filter(Boolean));
+            prefixes.forEach(prefix => {
+                departments[prefix] = (departments[prefix] || 0) + 1;
+            });
+            if (course.classroom) classrooms.add(course.classroom);
+            course.sessions.forEach(session => {
+                if (session.label) labels.add(session.label);
+                days.add(session.day);
+            });
+        });
 
-        courses.forEach(course => {
-            const isSelected = this.selectedCourses.has(course.courseCode);
-            const item = document.createElement('button');
-            item.className = `dropdown-item ${isSelected ? 'selected' : ''}`;
-            item.type = 'button';
-            item.innerHTML = `
-                <strong>${course.courseCode}</strong>
-                <span>${course.courseName}</span>
-            `;
-            
-            if (!isSelected) {
-                item.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    this.selectCourse(course);
-                });
+        const fillSelect = (select, placeholder, options) => {
+            select.innerHTML = `<option value="">${placeholder}</option>` + options
+                .map(([value, text]) => `<option value="${this.escapeHTML(value)}">${this.escapeHTML(text)}</option>`)
+                .join('');
+        };
+
+        fillSelect(this.elements.filterDepartment, 'All departments',
+            Object.keys(departments).sort().map(prefix => [prefix, `${prefix} (${departments[prefix]})`]));
+        fillSelect(this.elements.filterLabel, 'Any session type',
+            [...labels].sort().map(label => [label, label]));
+        fillSelect(this.elements.filterClassroom, 'Any classroom',
+            [...classrooms].sort().map(room => [room, room]));
+
+        this.elements.filterDays.innerHTML = this.validator.days
+            .filter(day => days.has(day))
+            .map(day => `
+                <label class="filter-bar__day">
+                    <input type="checkbox" value="${day}"> ${day}
+                </label>
+            `).join('');
+
+        this.renderFilters();
+    }
+
+    renderFilters() {
+        const { department, days, after, before, label, classroom, fitsSchedule } = this.filters;
+        this.elements.filterDepartment.value = department;
+        this.elements.filterAfter.value = after;
+        this.elements.filterBefore.value = before;
+        this.elements.filterLabel.value = label;
+        this.elements.filterClassroom.value = classroom;
+        this.elements.filterFits.checked = fitsSchedule;
+        this.elements.filterDays.querySelectorAll('input').forEach(input => {
+            input.checked = days.includes(input.value);
+        });
+    }
+
+    updateFilters() {
+        this.filters = {
+            department: this.elements.filterDepartment.value,
+            days: [...this.elements.filterDays.querySelectorAll('input:checked')].map(input => input.value),
+            after: this.elements.filterAfter.value,
+            before: this.elements.filterBefore.value,
+            label: this.elements.filterLabel.value,
+            classroom: this.elements.filterClassroom.value,
+            fitsSchedule: this.elements.filterFits.checked
+        };
+        this.handleSearch();
+    }
+
+    clearFilters() {
+        this.filters = {
+            department: '',
+            days: [],
+            after: '',
+            before: '',
+            label: '',
+            classroom: '',
+            fitsSchedule: false
+        };
+        this.renderFilters();
+        this.handleSearch();
+    }
+
+    getActiveFilterCount() {
+        return Object.values(this.filters)
+            .filter(value => Array.isArray(value) ? value.length > 0 : Boolean(value))
+            .length;
+    }
+
+    getDepartment(alias) {
+        const match = /^[A-Z]+/.exec(alias);
+        return match ? match[0] : '';
+    }
+
+    applyFilters(results) {
+        const { department, days, after, before, label, classroom, fitsSchedule } = this.filters;
+        const afterMinutes = after ? this.core.timeToMinutes(after) : null;
+        const beforeMinutes = before ? this.core.timeToMinutes(before) : null;
+        const currentSessions = fitsSchedule ? this.getAllSessions().concat(this.getBusySessions()) : [];
+
+        return results.filter(({ course }) => {
+            const sessions = course.sessions;
+
+            if (department && !course.aliases.some(alias => this.getDepartment(alias) === department)) return false;
+            if (classroom && course.classroom !== classroom) return false;
+            if (label && !sessions.some(session => session.label === label)) return false;
+            if (days.length > 0 && !sessions.every(session => days.includes(session.day))) return false;
+            if (afterMinutes !== null && !sessions.every(session => this.core.timeToMinutes(session.startTime) >= afterMinutes)) return false;
+            if (beforeMinutes !== null && !sessions.every(session => this.core.timeToMinutes(session.endTime) <= beforeMinutes)) return false;
+
+            if (fitsSchedule && !this.selectedCourses.has(course.courseCode)) {
+                const candidate = this.core.getCourseSessions(course);
+                const conflicts = this.core.detectConflicts([...currentSessions, ...candidate]);
+                if (candidate.some(session => conflicts.includes(session))) return false;
             }
-            
-            this.elements.dropdownContent.appendChild(item);
+
+            return true;
         });
     }
 
-    showDropdown() {
-        this.elements.dropdown.style.display = 'block';
-        this.elements.dropdown.classList.remove('hidden');
-        this.isDropdownVisible = true;
+    // Plan Functions
+    createPlanId() {
+        return `plan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
     }
 
-    hideDropdown() {
-        this.elements.dropdown.style.display = 'none';
-        this.elements.dropdown.classList.add('hidden');
-        this.isDropdownVisible = false;
+    getActivePlan() {
+        return this.plans.find(plan => plan.id === this.activePlanId);
     }
 
-    selectCourse(course) {
-        if (this.selectedCourses.has(course.courseCode)) return;
+    applyPlan(plan) {
+        this.selectedCourses.clear();
+        plan.courses.forEach(code => {
+            const course = this.courses.find(c => c.courseCode === code);
+            if (course) {
+                this.selectedCourses.set(code, course);
+            }
+        });
 
-        // Assign color
-        this.assignCourseColor(course.courseCode);
-        
-        this.selectedCourses.set(course.courseCode, course);
+        this.courseColors = { ...plan.colors };
+        this.colorIndex = Math.max(...Object.values(this.courseColors), -1) + 1;
+        this.personalEvents = (plan.events || []).map(event => ({ ...event }));
+    }
+
+    switchPlan(planId) {
+        const plan = this.plans.find(p => p.id === planId);
+        if (!plan) return;
+
+        this.saveToStorage();
+        this.activePlanId = plan.id;
+        this.applyPlan(plan);
+        this.saveToStorage();
+        this.renderPlans();
+        this.renderChanges();
         this.renderSelectedCourses();
         this.renderCalendar();
-        this.saveToStorage();
-        this.elements.searchInput.value = '';
-        this.hideDropdown();
+        this.renderCompare();
     }
 
-    assignCourseColor(courseCode) {
-        if (!this.courseColors[courseCode]) {
-            this.courseColors[courseCode] = this.colorIndex % this.maxColors;
-            this.colorIndex++;
-        }
+    addPlan(name, courses = [], colors = {}, events = []) {
+        const plan = {
+            id: this.createPlanId(),
+            name,
+            courses: [...courses],
+            colors: { ...colors },
+            events: events.map(event => ({ ...event, id: this.createEventId() }))
+        };
+        this.plans.push(plan);
+        this.switchPlan(plan.id);
+        return plan;
     }
 
-    removeCourse(courseCode) {
-        this.selectedCourses.delete(courseCode);
-        delete this.courseColors[courseCode];
-        this.renderSelectedCourses();
-        this.renderCalendar();
+    createPlan() {
+        const name = prompt('Name for the new plan:', `Plan ${this.plans.length + 1}`);
+        if (!name || !name.trim()) return;
+
+        this.addPlan(name.trim());
+    }
+
+    duplicatePlan() {
+        const current = this.getActivePlan();
+        const name = prompt('Name for the copy:', `${current.name} (copy)`);
+        if (!name || !name.trim()) return;
+
         this.saveToStorage();
+        this.addPlan(name.trim(), current.courses, current.colors, current.events || []);
     }
 
-    renderSelectedCourses() {
-        this.elements.selectedCoursesList.innerHTML = '';
+    renamePlan() {
+        const plan = this.getActivePlan();
+        const name = prompt('Rename plan:', plan.name);
+        if (!name || !name.trim()) return;
 
-        if (this.selectedCourses.size === 0) {
-            this.elements.selectedCoursesList.innerHTML = `
-                <div class="empty-state">
-                    <p>No courses selected. Use the search box above to add courses.</p>
-                </div>
-            `;
+        plan.name = name.trim();
+        this.saveToStorage();
+        this.renderPlans();
+        this.renderCompare();
+    }
+
+    deletePlan() {
+        if (this.plans.length === 1) {
+            alert('You need at least one plan');
             return;
         }
 
-        this.selectedCourses.forEach(course => {
-            const chip = document.createElement('div');
-            const colorClass = `course-color-${this.courseColors[course.courseCode]}`;
-            chip.className = `course-chip ${colorClass}`;
-            chip.innerHTML = `
-                <span>${course.courseCode}</span>
-                <button class="course-chip__remove" type="button" data-course="${course.courseCode}">×</button>
-            `;
-            
-            const removeBtn = chip.querySelector('.course-chip__remove');
-            removeBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.removeCourse(course.courseCode);
-            });
-            
-            this.elements.selectedCoursesList.appendChild(chip);
-        });
+        const plan = this.getActivePlan();
+        if (!confirm(`Delete the plan "${plan.name}"?`)) return;
+
+        this.plans = this.plans.filter(p => p.id !== plan.id);
+        this.activePlanId = this.plans[0].id;
+        this.applyPlan(this.plans[0]);
+        this.saveToStorage();
+        this.renderPlans();
+        this.renderSelectedCourses();
+        this.renderCalendar();
+        this.renderCompare();
     }
 
-    renderCalendar() {
-        // Clear existing sessions
-        ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'].forEach(day => {
-            const dayElement = document.getElementById(day);
-            if (dayElement) {
-                dayElement.innerHTML = '';
-            }
-        });
+    renderPlans() {
+        const options = this.plans
+            .map(plan => `<option value="${plan.id}">${this.escapeHTML(plan.name)}</option>`)
+            .join('');
 
-        if (this.selectedCourses.size === 0) {
-            this.hideConflictWarning();
-            return;
-        }
+        this.elements.planSelect.innerHTML = options;
+        this.elements.planSelect.value = this.activePlanId;
+        this.elements.planDelete.disabled = this.plans.length === 1;
+        this.elements.planCompare.disabled = this.plans.length === 1;
 
-        const sessions = this.getAllSessions();
-        const conflicts = this.detectConflicts(sessions);
-        
-        sessions.forEach(session => {
-            this.renderSession(session, conflicts);
+        [this.elements.compareA, this.elements.compareB].forEach(select => {
+            const value = select.value;
+            select.innerHTML = options;
+            if (this.plans.some(plan => plan.id === value)) select.value = value;
         });
+    }
 
-        if (conflicts.length > 0) {
-            this.showConflictWarning();
-        } else {
-            this.hideConflictWarning();
-        }
+    getPlanCourses(plan) {
+        return plan.courses
+            .map(code => this.courses.find(c => c.courseCode === code))
+            .filter(Boolean);
     }
 
-    getAllSessions() {
-        const sessions = [];
-        this.selectedCourses.forEach(course => {
-            course.sessions.forEach(session => {
-                sessions.push({
-                    ...session,
-                    courseCode: course.courseCode,
-                    courseName: course.courseName,
-                    classroom: course.classroom
-                });
-            });
-        });
-        return sessions;
+    showCompare() {
+        const other = this.plans.find(plan => plan.id !== this.activePlanId);
+        if (!other) return;
+
+        this.saveToStorage();
+        this.elements.compareA.value = this.activePlanId;
+        this.elements.compareB.value = other.id;
+        this.elements.compareSection.classList.remove('hidden');
+        this.renderCompare();
+        this.elements.compareSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
-    detectConflicts(sessions) {
-        const conflicts = [];
-        
-        for (let i = 0; i < sessions.length; i++) {
-            for (let j = i + 1; j < sessions.length; j++) {
-                const session1 = sessions[i];
-                const session2 = sessions[j];
-                
-                if (session1.day === session2.day) {
-                    const start1 = this.timeToMinutes(session1.startTime);
-                    const end1 = this.timeToMinutes(session1.endTime);
-                    const start2 = this.timeToMinutes(session2.startTime);
-                    const end2 = this.timeToMinutes(session2.endTime);
-                    
-                    if ((start1 < end2 && end1 > start2)) {
-                        conflicts.push(session1, session2);
-                    }
-                }
-            }
-        }
-        
-        return [...new Set(conflicts)];
+    hideCompare() {
+        this.elements.compareSection.classList.add('hidden');
     }
 
-    renderSession(session, conflicts) {
-        const dayElement = document.getElementById(this.getDayName(session.day));
-        if (!dayElement) return;
+    renderCompare() {
+        if (this.elements.compareSection.classList.contains('hidden')) return;
 
-        const isConflict = conflicts.includes(session);
-        const colorClass = `course-color-${this.courseColors[session.courseCode]}`;
-        
-        const sessionElement = document.createElement('div');
-        sessionElement.className = `session-block ${colorClass} ${isConflict ? 'conflict' : ''}`;
-        
-        const startMinutes = this.timeToMinutes(session.startTime);
-        const endMinutes = this.timeToMinutes(session.endTime);
-        const duration = endMinutes - startMinutes;
-        
-        // Calculate position (08:00 is the start time, each 30min slot is 30px)
-        const topOffset = ((startMinutes - 480) / 30) * 30; // 480 minutes = 08:00
-        const height = (duration / 30) * 30;
-        
-        sessionElement.style.top = `${topOffset}px`;
-        sessionElement.style.height = `${height}px`;
-        
-        sessionElement.innerHTML = `
-            <div class="session-block__code">${session.courseCode}</div>
-            <div class="session-block__room">${session.classroom}</div>
-            <div class="session-block__type">${session.label}</div>
+        const planA = this.plans.find(plan => plan.id === this.elements.compareA.value);
+        const planB = this.plans.find(plan => plan.id === this.elements.compareB.value);
+        if (!planA || !planB) return;
+
+        const summarize = (plan) => {
+            const courses = this.getPlanCourses(plan);
+            const courseSessions = courses.flatMap(course => this.core.getCourseSessions(course));
+            const sessions = courseSessions.concat(this.getEventSessions(plan.events || []));
+            const minutes = courseSessions.reduce((total, session) =>
+                total + this.core.timeToMinutes(session.endTime) - this.core.timeToMinutes(session.startTime), 0);
+            return { courses, sessions, minutes, conflicts: this.core.detectConflicts(sessions) };
+        };
+        const a = summarize(planA);
+        const b = summarize(planB);
+
+        const codesA = new Set(a.courses.map(course => course.courseCode));
+        const codesB = new Set(b.courses.map(course => course.courseCode));
+        const onlyA = [...codesA].filter(code => !codesB.has(code));
+        const onlyB = [...codesB].filter(code => !codesA.has(code));
+        const shared = [...codesA].filter(code => codesB.has(code));
+        const list = (codes) => codes.length ? codes.map(code => this.escapeHTML(code)).join(', ') : '—';
+
+        this.elements.compareSummary.innerHTML = `
+            <table class="compare-table">
+                <thead>
+                    <tr><th></th><th>${this.escapeHTML(planA.name)}</th><th>${this.escapeHTML(planB.name)}</th></tr>
+                </thead>
+                <tbody>
+                    <tr><th>Courses</th><td>${a.courses.length}</td><td>${b.courses.length}</td></tr>
+                    <tr><th>Weekly hours</th><td>${this.formatDuration(a.minutes)}</td><td>${this.formatDuration(b.minutes)}</td></tr>
+                    <tr><th>Conflicting sessions</th><td>${a.conflicts.length}</td><td>${b.conflicts.length}</td></tr>
+                    <tr><th>Only in this plan</th><td>${list(onlyA)}</td><td>${list(onlyB)}</td></tr>
+                    <tr><th>In both</th><td colspan="2">${list(shared)}</td></tr>
+                </tbody>
+            </table>
         `;
-        
-        // Add tooltip events
-        sessionElement.addEventListener('mouseenter', (e) => this.showTooltip(e, session));
-        sessionElement.addEventListener('mouseleave', () => this.hideTooltip());
-        sessionElement.addEventListener('mousemove', (e) => this.updateTooltipPosition(e));
-        
-        dayElement.appendChild(sessionElement);
+
+        this.elements.compareTitleA.textContent = planA.name;
+        this.elements.compareTitleB.textContent = planB.name;
+        this.renderPlanGrid(this.elements.compareGridA, a, planA.colors);
+        this.renderPlanGrid(this.elements.compareGridB, b, planB.colors);
     }
 
-    getDayName(shortDay) {
-        const dayMap = {
-            'Mon': 'Monday',
-            'Tue': 'Tuesday',
-            'Wed': 'Wednesday',
-            'Thu': 'Thursday',
-            'Fri': 'Friday'
-        };
-        return dayMap[shortDay];
+    renderPlanGrid(container, { sessions, conflicts }, colors) {
+        const grid = document.createElement('div');
+        grid.className = 'calendar-grid';
+        const dayElements = this.buildWeekGrid(grid);
+        const placements = this.getSessionPlacements(sessions);
+        sessions.forEach(session => {
+            this.renderSession(session, conflicts, dayElements[session.day], colors, placements.get(session));
+        });
+
+        container.innerHTML = '';
+        container.appendChild(grid);
     }
 
-    timeToMinutes(timeString) {
-        const [hours, minutes] = timeString.split(':').map(Number);
-        return hours * 60 + minutes;
+    // Share Functions
+    // A shared plan travels in the URL hash as base64url-encoded JSON:
+    //   #share=<{ name, courses: [code, ...], colors: { code: index } }>
+    encodeSharePayload(payload) {
+        let binary = '';
+        new TextEncoder().encode(JSON.stringify(payload)).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodeSharePayload(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    getShareLink() {
+        const plan = this.getActivePlan();
+        const payload = {
+            name: plan.name,
+            term: this.activeTermId,
+            courses: Array.from(this.selectedCourses.keys()),
+            colors: this.courseColors,
+            events: this.personalEvents.map(({ title, day, startTime, endTime, location }) => ({ title, day, startTime, endTime, location }))
+        };
+        return `${location.origin}${location.pathname}#share=${this.encodeSharePayload(payload)}`;
+    }
+
+    async copyShareLink() {
+        if (this.getAllSessions().length === 0) {
+            alert('Please select courses or add personal events first');
+            return;
+        }
+
+        const link = this.getShareLink();
+        try {
+            await navigator.clipboard.writeText(link);
+            alert('Share link copied to the clipboard');
+        } catch (error) {
+            prompt('Copy this share link:', link);
+        }
+    }
+
+    // Shared codes may use an alias of the current code (e.g. a cross-listed
+    // code on its own), so fall back to matching aliases.
+    resolveCourseCode(code) {
+        return this.core.resolveCourseCode(this.courses, code);
+    }
+
+    getSharedTermId() {
+        const match = /^#share=([A-Za-z0-9_-]+)$/.exec(location.hash);
+        try {
+            return match ? this.decodeSharePayload(match[1]).term || null : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readSharedPlanFromURL() {
+        const match = /^#share=([A-Za-z0-9_-]+)$/.exec(location.hash);
+        this.sharedPlan = null;
+
+        if (match) {
+            try {
+                const payload = this.decodeSharePayload(match[1]);
+                const courses = [];
+                const colors = {};
+                const missing = [];
+
+                (Array.isArray(payload.courses) ? payload.courses : []).forEach(code => {
+                    const resolved = this.resolveCourseCode(String(code));
+                    if (!resolved) {
+                        missing.push(String(code));
+                        return;
+                    }
+                    // An alias and the full code can name the same course
+                    if (courses.includes(resolved)) return;
+                    courses.push(resolved);
+                    const color = this.normalizeColorIndex(payload.colors?.[code]);
+                    if (color !== null) {
+                        colors[resolved] = color;
+                    }
+                });
+
+                this.sharedPlan = {
+                    name: String(payload.name || 'Shared schedule'),
+                    courses,
+                    colors,
+                    events: (Array.isArray(payload.events) ? payload.events : [])
+                        .map(event => this.normalizeEvent(event))
+                        .filter(Boolean),
+                    missing
+                };
+            } catch (error) {
+                console.warn('Could not read shared schedule link:', error);
+                alert('This share link is damaged and could not be opened');
+            }
+        }
+
+        this.applyPlan(this.sharedPlan || this.getActivePlan());
+        if (this.sharedPlan) {
+            this.sharedPlan.courses.forEach(code => this.assignCourseColor(code));
+            this.sharedPlan.colors = { ...this.courseColors };
+        }
+    }
+
+    renderSharedView() {
+        const shared = this.sharedPlan;
+        document.body.classList.toggle('read-only', Boolean(shared));
+        this.elements.termSelect.disabled = Boolean(shared);
+        this.elements.sharedBanner.classList.toggle('hidden', !shared);
+        if (!shared) return;
+
+        this.elements.sharedTitle.textContent = `You are viewing a shared schedule: ${shared.name}`;
+        this.elements.sharedMissing.classList.toggle('hidden', shared.missing.length === 0);
+        this.elements.sharedMissing.textContent = shared.missing.length === 0 ? '' :
+            `⚠️ ${shared.missing.length} course${shared.missing.length === 1 ? ' is' : 's are'} not in the current timetable and ` +
+            `${shared.missing.length === 1 ? 'was' : 'were'} left out: ${shared.missing.join(', ')}`;
+    }
+
+    importSharedPlan() {
+        const { name, courses, colors, events } = this.sharedPlan;
+        this.exitSharedView();
+        this.addPlan(name, courses, colors, events);
+    }
+
+    exitSharedView() {
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+        this.sharedPlan = null;
+        this.applyPlan(this.getActivePlan());
+        this.renderSharedView();
+        this.renderPlans();
+        this.renderChanges();
+        this.renderSelectedCourses();
+        this.renderCalendar();
+    }
+
+    // Search Functions
+    // Each course gets the score of its best match; ties fall back to code order.
+    searchCourses(query) {
+        return this.courses
+            .map(course => ({ course, ...this.scoreCourse(course, query) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.course.courseCode.localeCompare(b.course.courseCode));
+    }
+
+    scoreCourse(course, query) {
+        const codeQuery = this.validator.normalizeCode(query);
+        const name = course.courseName.toLowerCase();
+        let best = { score: 0, codeRanges: [], nameRanges: [] };
+
+        const consider = (score, codeRanges, nameRanges = []) => {
+            if (score > best.score) {
+                best = { score, codeRanges, nameRanges };
+            }
+        };
+
+        // Codes: exact alias, alias prefix, raw substring, then typos
+        this.validator.parseCourseAliases(course.courseCode).forEach(({ alias, start, end }) => {
+            if (alias === codeQuery) {
+                consider(100, [[start, end]]);
+            } else if (codeQuery.length >= 2 && alias.startsWith(codeQuery)) {
+                consider(80, [[start, end]]);
+            } else if (codeQuery.length >= 4 && this.editDistance(alias, codeQuery) <= 1) {
+                consider(50, [[start, end]]);
+            }
+        });
+
+        const codeIndex = course.courseCode.toLowerCase().indexOf(query);
+        if (codeIndex >= 0) {
+            consider(60, [[codeIndex, codeIndex + query.length]]);
+        }
+
+        // Names: substring, abbreviation, then every word matched with typos allowed
+        const nameIndex = name.indexOf(query);
+        if (nameIndex >= 0) {
+            const atWordStart = nameIndex === 0 || /[^a-z0-9]/.test(name[nameIndex - 1]);
+            consider(atWordStart ? 45 : 30, [], [[nameIndex, nameIndex + query.length]]);
+        }
+
+        const words = [...name.matchAll(/[a-z0-9]+/g)].map(match => ({ word: match[0], start: match.index }));
+
+        const initials = this.matchInitials(query, words);
+        if (initials) {
+            consider(35, [], initials);
+        }
+
+        const tokens = query.split(/\s+/).filter(Boolean);
+        const tokenRanges = [];
+        const allTokensMatch = tokens.every(token => {
+            const match = words.find(({ word }) =>
+                word.startsWith(token) ||
+                (token.length >= 4 && this.editDistance(word.slice(0, token.length + 1), token) <= (token.length >= 7 ? 2 : 1))
+            );
+            if (match) tokenRanges.push([match.start, match.start + match.word.length]);
+            return Boolean(match);
+        });
+        if (allTokensMatch) {
+            consider(25, [], tokenRanges);
+        }
+
+        return best;
+    }
+
+    // "cn" matches Computer Networks, "dsa" matches Data Structures and Algorithms
+    matchInitials(query, words) {
+        const letters = query.replace(/[^a-z0-9]/g, '');
+        if (letters.length < 2 || letters.length !== query.length) return null;
+
+        const ranges = [];
+        let position = 0;
+        for (const { word, start } of words) {
+            if (position < letters.length && word[0] === letters[position]) {
+                ranges.push([start, start + 1]);
+                position++;
+            }
+        }
+        return position === letters.length ? ranges : null;
+    }
+
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    highlightText(text, ranges) {
+        let html = '';
+        let position = 0;
+
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (start < position) return;
+            html += this.escapeHTML(text.slice(position, start));
+            html += `<mark>${this.escapeHTML(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+
+        return html + this.escapeHTML(text.slice(position));
+    }
+
+    renderDropdown(results) {
+        this.elements.dropdownContent.innerHTML = '';
+        this.setActiveOption(-1);
+
+        const activeFilters = this.getActiveFilterCount();
+        if (activeFilters > 0) {
+            const count = document.createElement('div');
+            count.className = 'dropdown__count';
+            count.setAttribute('role', 'presentation');
+            count.textContent = `${results.length} course${results.length === 1 ? '' : 's'} match · ` +
+                `${activeFilters} filter${activeFilters === 1 ? '' : 's'} active`;
+            this.elements.dropdownContent.appendChild(count);
+        }
+
+        if (results.length === 0) {
+            this.elements.dropdownContent.insertAdjacentHTML('beforeend', `
+                <div class="dropdown-item" role="presentation" style="cursor: default; opacity: 0.6;">
+                    <span>No courses found</span>
+                </div>
+            `);
+            return;
+        }
+
+        results.forEach(({ course, codeRanges, nameRanges }, index) => {
+            const isSelected = this.selectedCourses.has(course.courseCode);
+            const item = document.createElement('button');
+            item.className = `dropdown-item ${isSelected ? 'selected' : ''}`;
+            item.type = 'button';
+            item.id = `course-option-${index}`;
+            item.tabIndex = -1;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            if (isSelected) {
+                item.setAttribute('aria-disabled', 'true');
+            }
+            item.innerHTML = `
+                <strong>${this.highlightText(course.courseCode, codeRanges)}</strong>
+                <span>${this.highlightText(course.courseName, nameRanges)}</span>
+            `;
+            
+            if (!isSelected) {
+                item.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.selectCourse(course);
+                });
+            }
+            
+            this.elements.dropdownContent.appendChild(item);
+        });
+    }
+
+    showDropdown() {
+        this.elements.dropdown.style.display = 'block';
+        this.elements.dropdown.classList.remove('hidden');
+        this.elements.searchInput.setAttribute('aria-expanded', 'true');
+        this.isDropdownVisible = true;
+    }
+
+    hideDropdown() {
+        this.elements.dropdown.style.display = 'none';
+        this.elements.dropdown.classList.add('hidden');
+        this.elements.searchInput.setAttribute('aria-expanded', 'false');
+        this.setActiveOption(-1);
+        this.isDropdownVisible = false;
+    }
+
+    getDropdownOptions() {
+        return [...this.elements.dropdownContent.querySelectorAll('[role="option"]')];
+    }
+
+    // Focus stays in the search input; the highlighted result is announced
+    // through aria-activedescendant
+    setActiveOption(index) {
+        const options = this.getDropdownOptions();
+        this.activeOption = index >= 0 && index < options.length ? index : -1;
+
+        options.forEach((option, optionIndex) => {
+            const isActive = optionIndex === this.activeOption;
+            option.classList.toggle('dropdown-item--active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+        });
+
+        const active = options[this.activeOption];
+        if (active) {
+            this.elements.searchInput.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView?.({ block: 'nearest' });
+        } else {
+            this.elements.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleSearchKeydown(e) {
+        const options = this.getDropdownOptions();
+        const last = options.length - 1;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!this.isDropdownVisible) {
+                    this.handleSearch();
+                    return;
+                }
+                if (options.length === 0) return;
+                if (e.key === 'ArrowDown') {
+                    this.setActiveOption(this.activeOption >= last ? 0 : this.activeOption + 1);
+                } else {
+                    this.setActiveOption(this.activeOption <= 0 ? last : this.activeOption - 1);
+                }
+                break;
+            case 'Home':
+            case 'End':
+                if (!this.isDropdownVisible || options.length === 0) return;
+                e.preventDefault();
+                this.setActiveOption(e.key === 'Home' ? 0 : last);
+                break;
+            case 'Enter':
+                if (!this.isDropdownVisible || this.activeOption < 0) return;
+                e.preventDefault();
+                options[this.activeOption].click();
+                break;
+            case 'Escape':
+                this.hideDropdown();
+                break;
+        }
+    }
+
+    selectCourse(course) {
+        if (this.sharedPlan || this.selectedCourses.has(course.courseCode)) return;
+
+        // Assign color
+        this.assignCourseColor(course.courseCode);
+        
+        this.selectedCourses.set(course.courseCode, course);
+        this.renderSelectedCourses();
+        this.renderCalendar();
+        this.saveToStorage();
+        this.elements.searchInput.value = '';
+        this.hideDropdown();
+    }
+
+    assignCourseColor(courseCode) {
+        if (this.courseColors[courseCode] === undefined) {
+            this.courseColors[courseCode] = this.colorIndex % this.maxColors;
+            this.colorIndex++;
+        }
+    }
+
+    // Colors read from links and backups may be any integer; they wrap into
+    // 0..maxColors-1 so every course gets a styled .course-color-N class
+    normalizeColorIndex(value) {
+        return Number.isInteger(value) ? ((value % this.maxColors) + this.maxColors) % this.maxColors : null;
+    }
+
+    removeCourse(courseCode) {
+        if (this.sharedPlan) return;
+
+        this.selectedCourses.delete(courseCode);
+        delete this.courseColors[courseCode];
+        this.renderSelectedCourses();
+        this.renderCalendar();
+        this.saveToStorage();
+    }
+
+    renderSelectedCourses() {
+        // Personal events belong to the plan too, so they refresh alongside it
+        this.renderPersonalEvents();
+        this.elements.selectedCoursesList.innerHTML = '';
+
+        if (this.selectedCourses.size === 0) {
+            this.elements.selectedCoursesList.innerHTML = `
+                <div class="empty-state">
+                    <p>No courses selected. Use the search box above to add courses.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.selectedCourses.forEach(course => {
+            const chip = document.createElement('div');
+            const colorClass = `course-color-${this.courseColors[course.courseCode]}`;
+            chip.className = `course-chip ${colorClass}`;
+            chip.innerHTML = `
+                <span>${this.escapeHTML(course.courseCode)}</span>
+                <button class="course-chip__remove" type="button" data-course="${this.escapeHTML(course.courseCode)}">×</button>
+            `;
+            
+            const removeBtn = chip.querySelector('.course-chip__remove');
+            removeBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.removeCourse(course.courseCode);
+            });
+            
+            this.elements.selectedCoursesList.appendChild(chip);
+        });
+    }
+
+    renderCalendar() {
+        // Rebuild the grid so it always covers every loaded day and time
+        const dayElements = this.buildWeekGrid(this.elements.calendarGrid);
+        const sessions = this.getAllSessions().concat(this.getBusySessions());
+
+        // Overlaps between imported busy blocks are the user's own business
+        const conflictPairs = this.core.detectConflictPairs(sessions)
+            .filter(pair => !(pair.first.busyId && pair.second.busyId));
+        const conflicts = this.core.flattenConflictPairs(conflictPairs);
+
+        const { view } = this.gridSettings;
+        this.elements.calendarContainer.classList.toggle('hidden', view !== 'grid');
+        this.elements.scheduleList.classList.toggle('hidden', view !== 'list');
+        this.elements.agenda.classList.toggle('hidden', view !== 'today');
+
+        this.renderStats();
+        this.renderScheduleList(sessions, conflictPairs);
+        this.renderAgenda();
+
+        if (sessions.length === 0) {
+            this.hideConflictWarning();
+            return;
+        }
+
+        const placements = this.getSessionPlacements(sessions);
+        
+        const { changedSessions } = this.timetableChanges;
+        
+        sessions.forEach(session => {
+            const element = this.renderSession(session, conflicts, dayElements[session.day], this.courseColors, placements.get(session));
+            if (element && changedSessions.has(this.getSessionKey(session))) {
+                element.classList.add('session-block--changed');
+            }
+        });
+
+        this.renderConflictList(conflictPairs);
+
+        if (conflicts.length > 0) {
+            this.showConflictWarning();
+        } else {
+            this.hideConflictWarning();
+        }
+    }
+
+    // List view: the same week as a table, one row per session in day and time
+    // order, for screen readers and narrow screens
+    renderScheduleList(sessions, conflictPairs) {
+        if (this.gridSettings.view !== 'list') return;
+
+        if (sessions.length === 0) {
+            this.elements.scheduleList.innerHTML = '<p class="stats-panel__empty">No classes or events this week yet.</p>';
+            return;
+        }
+
+        const clashes = new Map();
+        conflictPairs.forEach(({ first, second }) => {
+            [[first, second], [second, first]].forEach(([session, other]) => {
+                if (!clashes.has(session)) clashes.set(session, []);
+                clashes.get(session).push(other.courseCode);
+            });
+        });
+
+        const { changedSessions } = this.timetableChanges;
+        const sorted = this.sortSessions(sessions);
+
+        this.elements.scheduleList.innerHTML = `
+            <table class="compare-table schedule-list__table">
+                <caption class="sr-only">Weekly schedule, ${sorted.length} session${sorted.length === 1 ? '' : 's'}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">Day</th>
+                        <th scope="col">Time</th>
+                        <th scope="col">Course</th>
+                        <th scope="col">Type</th>
+                        <th scope="col">Room</th>
+                        <th scope="col">Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sorted.map(session => {
+                        const notes = [];
+                        if (clashes.has(session)) notes.push(`Clashes with ${clashes.get(session).join(', ')}`);
+                        if (changedSessions.has(this.getSessionKey(session))) notes.push('Changed since your last visit');
+                        const type = session.busyId ? `Busy (${session.calendarName})`
+                            : session.eventId ? 'Personal event'
+                            : session.label;
+
+                        return `
+                            <tr class="${clashes.has(session) ? 'schedule-list__row--conflict' : ''}">
+                                <th scope="row">${this.getDayName(session.day)}</th>
+                                <td>${session.startTime}–${session.endTime}</td>
+                                <td>${session.eventId || session.busyId
+                                    ? this.escapeHTML(session.courseName)
+                                    : `${this.escapeHTML(session.courseCode)} · ${this.escapeHTML(session.courseName)}`}</td>
+                                <td>${this.escapeHTML(type)}</td>
+                                <td>${this.escapeHTML(session.classroom || '')}</td>
+                                <td>${this.escapeHTML(notes.join('; '))}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Agenda Functions
+    // Day and time on the wall clock of the term's timezone, so the agenda
+    // follows the timetable even when the device is set to another zone
+    getTermNow(now = Date.now()) {
+        const { timezone } = this.termSettings;
+        const offset = this.core.isValidTimezone(timezone)
+            ? this.core.getTimezoneOffset(timezone, now)
+            : -new Date(now).getTimezoneOffset();
+        const wallClock = new Date(now + offset * 60 * 1000);
+
+        return {
+            date: new Date(Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate())),
+            minutes: wallClock.getUTCHours() * 60 + wallClock.getUTCMinutes()
+        };
+    }
+
+    // Today's sessions while any are still to come, otherwise those of the next
+    // day with classes. Holidays and days outside the term dates are skipped;
+    // before the term the search starts on its first day.
+    getAgenda(now = Date.now()) {
+        const sessions = this.getAllSessions();
+        if (sessions.length === 0) return null;
+
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const { date: today, minutes } = this.getTermNow(now);
+        const { dates: holidays } = this.core.parseHolidays(this.termSettings.holidays);
+        const termStart = this.core.parseDateInput(this.termSettings.startDate);
+        const termEnd = this.core.parseDateInput(this.termSettings.endDate);
+
+        const firstDate = termStart && today < termStart ? termStart : today;
+        const firstOffset = Math.round((firstDate - today) / (24 * 60 * 60 * 1000));
+
+        // A holiday can take out a whole week of some weekday, so each one widens the search by a week
+        for (let offset = firstOffset; offset <= firstOffset + 7 * (holidays.size + 1); offset++) {
+            const date = this.core.addDays(today, offset);
+            if (termEnd && date > termEnd) break;
+            if (holidays.has(this.core.formatICSDate(date))) continue;
+
+            const day = weekdays[date.getUTCDay()];
+            const daySessions = this.sortSessions(sessions.filter(session => session.day === day));
+            if (daySessions.length === 0) continue;
+            if (offset === 0 && daySessions.every(session => this.core.timeToMinutes(session.endTime) <= minutes)) continue;
+
+            return { date, day, offset, sessions: daySessions, minutes: offset === 0 ? minutes : null };
+        }
+
+        return null;
+    }
+
+    getAgendaTitle(session) {
+        return session.eventId ? session.courseName : `${session.courseCode} ${session.label || 'Class'}`;
+    }
+
+    renderAgenda(now = Date.now()) {
+        if (this.gridSettings.view !== 'today') return;
+
+        const panel = this.elements.agenda;
+        const agenda = this.getAgenda(now);
+        const { date: today } = this.getTermNow(now);
+        const termStart = this.core.parseDateInput(this.termSettings.startDate);
+        const termEnd = this.core.parseDateInput(this.termSettings.endDate);
+        const formatDate = date => `${this.getDayName(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getUTCDay()])} ` +
+            date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+        const beforeTerm = termStart && today < termStart;
+
+        if (!agenda) {
+            const message = this.getAllSessions().length === 0 ? 'Select courses or add personal events to see your day here.'
+                : termEnd && today > termEnd ? 'No more classes this term.'
+                : beforeTerm ? `Term starts on ${formatDate(termStart)}.`
+                : 'No classes in the coming week.';
+            panel.innerHTML = `<p class="stats-panel__empty">${message}</p>`;
+            return;
+        }
+
+        const { date, day, offset, sessions, minutes } = agenda;
+        const startOf = session => this.core.timeToMinutes(session.startTime);
+        const endOf = session => this.core.timeToMinutes(session.endTime);
+        const isToday = offset === 0;
+        const current = isToday ? sessions.filter(session => startOf(session) <= minutes && minutes < endOf(session)) : [];
+        const next = sessions.find(session => !isToday || startOf(session) > minutes);
+
+        const heading = isToday ? `Today, ${this.getDayName(day)}`
+            : offset === 1 ? `Tomorrow, ${formatDate(date)}`
+            : formatDate(date);
+
+        const lines = [];
+        if (beforeTerm) {
+            lines.push(`Term starts on ${formatDate(termStart)}. Showing its first teaching day.`);
+        } else if (!isToday) {
+            lines.push('Nothing left today. Showing the next teaching day.');
+        }
+        current.forEach(session => {
+            lines.push(`<strong>Now:</strong> ${this.escapeHTML(this.getAgendaTitle(session))}` +
+                `${session.classroom ? ` in ${this.escapeHTML(session.classroom)}` : ''}, ends in ${this.formatDuration(endOf(session) - minutes)}`);
+        });
+        if (next) {
+            const when = isToday
+                ? `starts in ${this.formatDuration(startOf(next) - minutes)}`
+                : `at ${next.startTime}`;
+            // Measured from whichever earlier session ends last, not the one that starts last
+            const previousEnds = sessions.filter(session => endOf(session) <= startOf(next) && session !== next).map(endOf);
+            const gap = isToday && previousEnds.length > 0 ? startOf(next) - Math.max(...previousEnds) : null;
+            lines.push(`<strong>${isToday ? 'Next' : 'First'}:</strong> ${this.escapeHTML(this.getAgendaTitle(next))}` +
+                `${next.classroom ? ` in ${this.escapeHTML(next.classroom)}` : ''}, ${when}` +
+                `${gap !== null && gap > 0 ? ` (${this.formatDuration(gap)} free before it)` : ''}`);
+        }
+
+        const items = [];
+        let busyUntil = null;
+        sessions.forEach(session => {
+            if (busyUntil !== null && startOf(session) > busyUntil) {
+                items.push(`<li class="agenda__gap">${this.formatDuration(startOf(session) - busyUntil)} free</li>`);
+            }
+            busyUntil = Math.max(busyUntil ?? 0, endOf(session));
+
+            const isCurrent = current.includes(session);
+            const state = isCurrent ? 'now' : session === next ? 'next' : isToday && endOf(session) <= minutes ? 'done' : '';
+            const progress = isCurrent ? Math.round((minutes - startOf(session)) / (endOf(session) - startOf(session)) * 100) : 0;
+            const colorClass = session.eventId ? 'session-block--personal' : `course-color-${this.courseColors[session.courseCode]}`;
+
+            items.push(`
+                <li class="agenda__item ${state ? `agenda__item--${state}` : ''}" ${isCurrent ? 'aria-current="time"' : ''}>
+                    <span class="agenda__swatch ${colorClass}"></span>
+                    <span class="agenda__time">${session.startTime}–${session.endTime}</span>
+                    <span class="agenda__details">
+                        <strong>${this.escapeHTML(this.getAgendaTitle(session))}</strong>
+                        <span>${this.escapeHTML(session.eventId ? 'Personal event' : session.courseName)}${session.classroom ? ` · ${this.escapeHTML(session.classroom)}` : ''}</span>
+                    </span>
+                    ${isCurrent ? '<span class="agenda__badge">Now</span>' : session === next ? '<span class="agenda__badge agenda__badge--next">Next</span>' : ''}
+                    ${isCurrent ? `<span class="agenda__progress" style="width: ${progress}%"></span>` : ''}
+                </li>
+            `);
+        });
+
+        panel.innerHTML = `
+            <h3 class="agenda__heading">${heading}</h3>
+            ${lines.map(line => `<p class="agenda__status">${line}</p>`).join('')}
+            <ol class="agenda__list">${items.join('')}</ol>
+        `;
+    }
+
+    // Personal Event Functions
+    createEventId() {
+        return `event-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    // Returns a cleaned copy of the event, or null when it cannot be placed on the grid
+    normalizeEvent(event) {
+        const title = this.validator.cleanString(event?.title);
+        const day = this.validator.normalizeDay(event?.day);
+        const startTime = this.validator.normalizeTime(event?.startTime);
+        const endTime = this.validator.normalizeTime(event?.endTime);
+        if (!title || !day || !startTime || !endTime || endTime <= startTime) return null;
+
+        return {
+            id: event.id || this.createEventId(),
+            title,
+            day,
+            startTime,
+            endTime,
+            location: this.validator.cleanString(event.location)
+        };
+    }
+
+    addPersonalEvent() {
+        if (this.sharedPlan) return;
+
+        const event = this.normalizeEvent({
+            title: this.elements.eventTitle.value,
+            day: this.elements.eventDay.value,
+            startTime: this.elements.eventStart.value,
+            endTime: this.elements.eventEnd.value,
+            location: this.elements.eventLocation.value
+        });
+        if (!event) {
+            alert('Please enter a title, a day and an end time after the start time');
+            return;
+        }
+
+        this.personalEvents.push(event);
+        this.elements.eventTitle.value = '';
+        this.elements.eventLocation.value = '';
+        this.saveToStorage();
+        this.renderPersonalEvents();
+        this.renderCalendar();
+    }
+
+    removePersonalEvent(eventId) {
+        if (this.sharedPlan) return;
+
+        this.personalEvents = this.personalEvents.filter(event => event.id !== eventId);
+        this.saveToStorage();
+        this.renderPersonalEvents();
+        this.renderCalendar();
+    }
+
+    renderPersonalEvents() {
+        const list = this.elements.eventList;
+
+        if (this.personalEvents.length === 0) {
+            list.innerHTML = '<li class="personal-events__empty">No personal events yet.</li>';
+            return;
+        }
+
+        const sorted = [...this.personalEvents].sort((a, b) =>
+            this.validator.days.indexOf(a.day) - this.validator.days.indexOf(b.day) ||
+            this.core.timeToMinutes(a.startTime) - this.core.timeToMinutes(b.startTime)
+        );
+
+        list.innerHTML = sorted.map(event => `
+            <li class="personal-events__item">
+                <span>
+                    <strong>${this.escapeHTML(event.title)}</strong>
+                    ${this.getDayName(event.day)} ${event.startTime}–${event.endTime}${event.location ? ` · ${this.escapeHTML(event.location)}` : ''}
+                </span>
+                <button class="course-chip__remove" type="button" data-event="${this.escapeHTML(event.id)}" aria-label="Remove ${this.escapeHTML(event.title)}">×</button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('[data-event]').forEach(button => {
+            button.addEventListener('click', () => this.removePersonalEvent(button.dataset.event));
+        });
+    }
+
+    // Busy Time Functions
+    // Calendars imported from .ics files mark time as busy. They belong to the
+    // user rather than to a plan, so they stay put across plans and terms.
+    async importBusyCalendar(file) {
+        if (!file) return;
+
+        try {
+            const { blocks, skipped } = this.icsParser.parse(await file.text(), { timezone: this.termSettings.timezone });
+            if (blocks.length > 0) {
+                this.busyCalendars.push({ id: this.createEventId(), name: file.name, visible: true, blocks });
+                this.saveToStorage();
+            }
+
+            this.renderBusyCalendars(file.name, blocks.length, skipped);
+            this.renderCalendar();
+            this.handleSearch();
+        } catch (error) {
+            console.error('Error importing calendar:', error);
+            alert('Could not import calendar: ' + error.message);
+        } finally {
+            this.elements.busyImport.value = '';
+        }
+    }
+
+    getBusySessions() {
+        return this.busyCalendars
+            .filter(calendar => calendar.visible)
+            .flatMap(calendar => calendar.blocks.map(block => ({
+                label: 'Busy',
+                slotCode: null,
+                day: block.day,
+                startTime: block.startTime,
+                endTime: block.endTime,
+                courseCode: block.title,
+                courseName: block.title,
+                classroom: block.location,
+                busyId: calendar.id,
+                calendarName: calendar.name
+            })));
+    }
+
+    toggleBusyCalendar(calendarId, visible) {
+        const calendar = this.busyCalendars.find(c => c.id === calendarId);
+        if (!calendar) return;
+
+        calendar.visible = visible;
+        this.saveToStorage();
+        this.renderBusyCalendars();
+        this.renderCalendar();
+    }
+
+    removeBusyCalendar(calendarId) {
+        this.busyCalendars = this.busyCalendars.filter(calendar => calendar.id !== calendarId);
+        this.saveToStorage();
+        this.renderBusyCalendars();
+        this.renderCalendar();
+    }
+
+    // The import report is shown once, right after a file is read
+    renderBusyCalendars(importedName = null, importedCount = 0, skipped = []) {
+        const list = this.elements.busyList;
+        const report = this.elements.busyReport;
+
+        list.innerHTML = this.busyCalendars.map(calendar => `
+            <li class="personal-events__item">
+                <label class="busy-calendars__toggle">
+                    <input type="checkbox" data-calendar="${this.escapeHTML(calendar.id)}" ${calendar.visible ? 'checked' : ''}>
+                    <strong>${this.escapeHTML(calendar.name)}</strong>
+                    <span>${calendar.blocks.length} weekly block${calendar.blocks.length === 1 ? '' : 's'}</span>
+                </label>
+                <button class="course-chip__remove" type="button" data-remove-calendar="${this.escapeHTML(calendar.id)}" aria-label="Remove ${this.escapeHTML(calendar.name)}">×</button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('[data-calendar]').forEach(input => {
+            input.addEventListener('change', () => this.toggleBusyCalendar(input.dataset.calendar, input.checked));
+        });
+        list.querySelectorAll('[data-remove-calendar]').forEach(button => {
+            button.addEventListener('click', () => this.removeBusyCalendar(button.dataset.removeCalendar));
+        });
+
+        if (!importedName) {
+            report.classList.add('hidden');
+            return;
+        }
+
+        report.innerHTML = `
+            <div class="status ${importedCount > 0 ? 'status--success' : 'status--warning'}">
+                ${this.escapeHTML(importedName)}: ${importedCount} weekly busy block${importedCount === 1 ? '' : 's'} added${skipped.length > 0 ? `, ${skipped.length} event${skipped.length === 1 ? '' : 's'} left out` : ''}
+            </div>
+            ${skipped.length > 0 ? `
+                <ul class="editor-problems__list">
+                    ${skipped.map(({ title, reason }) => `<li>${this.escapeHTML(title)}: ${this.escapeHTML(reason)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+        report.classList.remove('hidden');
+    }
+
+    // Change Detection
+    // Each plan keeps a snapshot of its courses as they were last seen. Until
+    // the user marks the changes as seen, snapshots are only added for newly
+    // selected courses, so a reload keeps reporting the same differences.
+    getPlanSnapshots(plan, refresh = false) {
+        const previous = plan.snapshots || {};
+        const snapshots = {};
+
+        plan.courses.forEach(code => {
+            const course = this.selectedCourses.get(code);
+            if (course && (refresh || !previous[code] || previous[code].missing)) {
+                snapshots[code] = this.createCourseSnapshot(course);
+            } else if (previous[code]) {
+                snapshots[code] = refresh ? { ...previous[code], missing: true } : previous[code];
+            }
+        });
+
+        return snapshots;
+    }
+
+    createCourseSnapshot(course) {
+        return {
+            courseName: course.courseName,
+            classroom: course.classroom,
+            sessions: course.sessions.map(({ label, slotCode, day, startTime, endTime }) => ({
+                label, slotCode: slotCode || null, day, startTime, endTime
+            }))
+        };
+    }
+
+    getSessionKey(session) {
+        return `${session.courseCode}|${session.day}|${session.startTime}|${session.endTime}`;
+    }
+
+    detectTimetableChanges(plan) {
+        const items = [];
+        const changedSessions = new Set();
+        const snapshots = plan.snapshots || {};
+
+        plan.courses.forEach(code => {
+            const snapshot = snapshots[code];
+            if (!snapshot) return;
+
+            const course = this.courses.find(c => c.courseCode === code);
+            if (!course) {
+                if (!snapshot.missing) {
+                    items.push({ type: 'missing', code, text: `${snapshot.courseName ? `${snapshot.courseName} ` : ''}is no longer in the timetable` });
+                }
+                return;
+            }
+            if (snapshot.missing) return;
+
+            if (snapshot.courseName !== course.courseName) {
+                items.push({ type: 'renamed', code, text: `renamed from "${snapshot.courseName}" to "${course.courseName}"` });
+            }
+            if (snapshot.classroom !== course.classroom) {
+                items.push({ type: 'room', code, text: `classroom changed from ${snapshot.classroom || 'none'} to ${course.classroom || 'none'}` });
+            }
+
+            const describe = session => `${session.label || 'Session'} ${session.day} ${session.startTime}-${session.endTime}`;
+            const identity = session => `${session.label}|${session.slotCode || ''}|${session.day}|${session.startTime}|${session.endTime}`;
+            const removed = [...snapshot.sessions];
+            const added = [];
+
+            course.sessions.forEach(session => {
+                const index = removed.findIndex(old => identity(old) === identity(session));
+                if (index === -1) {
+                    added.push(session);
+                } else {
+                    removed.splice(index, 1);
+                }
+            });
+
+            // A removed and an added session with the same label count as a move
+            added.forEach(session => {
+                const index = removed.findIndex(old => old.label === session.label);
+                const key = this.getSessionKey({ ...session, courseCode: code });
+                changedSessions.add(key);
+
+                if (index === -1) {
+                    items.push({ type: 'added', code, text: `new session: ${describe(session)}` });
+                } else {
+                    const [old] = removed.splice(index, 1);
+                    items.push({ type: 'moved', code, text: `${session.label || 'session'} moved from ${old.day} ${old.startTime}-${old.endTime} to ${session.day} ${session.startTime}-${session.endTime}` });
+                }
+            });
+            removed.forEach(old => {
+                items.push({ type: 'removed', code, text: `session removed: ${describe(old)}` });
+            });
+        });
+
+        return { items, changedSessions };
+    }
+
+    renderChanges() {
+        const panel = this.elements.changesPanel;
+        const plan = this.getActivePlan();
+
+        // Plans saved before snapshots existed start tracking from now
+        if (plan && !plan.snapshots && !this.loadError) {
+            this.saveToStorage();
+        }
+
+        // Without a loaded timetable every course would look removed
+        this.timetableChanges = this.sharedPlan || this.loadError || !plan
+            ? { items: [], changedSessions: new Set() }
+            : this.detectTimetableChanges(plan);
+
+        const { items } = this.timetableChanges;
+        if (items.length === 0) {
+            panel.innerHTML = '';
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.innerHTML = `
+            <div class="changes-panel__header">
+                <h2>What changed since your last visit</h2>
+                <button class="btn btn--sm btn--secondary" type="button" data-action="acknowledge">Mark as seen</button>
+            </div>
+            <p class="changes-panel__hint">The timetable was updated for courses in "${this.escapeHTML(plan.name)}". Moved and new sessions are outlined on the grid.</p>
+            <ul class="changes-panel__list">
+                ${items.map(({ type, code, text }) => `
+                    <li class="changes-panel__item changes-panel__item--${type}">
+                        <span><strong>${this.escapeHTML(code)}</strong> ${type === 'missing' ? '' : '– '}${this.escapeHTML(text)}</span>
+                        ${type === 'missing' ? `<button class="btn btn--sm btn--outline" type="button" data-action="forget" data-code="${this.escapeHTML(code)}">Remove from plan</button>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        panel.querySelector('[data-action="acknowledge"]').addEventListener('click', () => this.acknowledgeChanges());
+        panel.querySelectorAll('[data-action="forget"]').forEach(button => {
+            button.addEventListener('click', () => this.forgetMissingCourse(button.dataset.code));
+        });
+        panel.classList.remove('hidden');
+    }
+
+    acknowledgeChanges() {
+        const plan = this.getActivePlan();
+        if (!plan || this.sharedPlan || this.loadError) return;
+
+        plan.snapshots = this.getPlanSnapshots(plan, true);
+        this.saveToStorage();
+        this.renderChanges();
+        this.renderCalendar();
+    }
+
+    // Courses that vanished from the data stay in the plan until removed here
+    forgetMissingCourse(courseCode) {
+        const plan = this.getActivePlan();
+        if (!plan || this.sharedPlan) return;
+
+        plan.courses = plan.courses.filter(code => code !== courseCode);
+        delete plan.colors[courseCode];
+        delete this.courseColors[courseCode];
+        this.saveToStorage();
+        this.renderChanges();
+        this.renderCalendar();
+    }
+
+    // Grid Functions
+    // The grid spans Mon-Fri and 08:00-20:00 at minimum, widened to fit every
+    // day and time found in the loaded timetable and the current selection.
+    getGridLayout() {
+        const { slotMinutes, rowHeight } = this.gridSettings;
+        const sessions = this.courses.flatMap(course => course.sessions)
+            .concat(this.getAllSessions(), this.getBusySessions());
+        const days = new Set(['Mon', 'Tue', 'Wed', 'Thu', 'Fri']);
+        let startMinutes = 8 * 60;
+        let endMinutes = 20 * 60;
+
+        sessions.forEach(session => {
+            days.add(session.day);
+            startMinutes = Math.min(startMinutes, this.core.timeToMinutes(session.startTime));
+            endMinutes = Math.max(endMinutes, this.core.timeToMinutes(session.endTime));
+        });
+
+        return {
+            days: this.validator.days.filter(day => days.has(day)),
+            startMinutes: Math.floor(startMinutes / slotMinutes) * slotMinutes,
+            endMinutes: Math.ceil(endMinutes / slotMinutes) * slotMinutes,
+            slotMinutes,
+            rowHeight
+        };
+    }
+
+    // Fills a .calendar-grid element with the time column and one column per
+    // day, returning the session containers keyed by short day name
+    buildWeekGrid(grid) {
+        const layout = this.getGridLayout();
+        const { days, startMinutes, endMinutes, slotMinutes, rowHeight } = layout;
+        const slotCount = (endMinutes - startMinutes) / slotMinutes;
+        this.gridLayout = layout;
+
+        grid.innerHTML = '';
+        grid.style.setProperty('--day-count', days.length);
+        grid.style.setProperty('--slot-count', slotCount);
+        grid.style.setProperty('--row-height', `${rowHeight}px`);
+
+        const timeColumn = document.createElement('div');
+        timeColumn.className = 'time-column';
+        timeColumn.innerHTML = '<div class="time-header"></div>';
+        for (let minutes = startMinutes; minutes < endMinutes; minutes += slotMinutes) {
+            timeColumn.insertAdjacentHTML('beforeend', `<div class="time-slot">${this.core.minutesToTime(minutes)}</div>`);
+        }
+        grid.appendChild(timeColumn);
+
+        const dayElements = {};
+        days.forEach(day => {
+            const column = document.createElement('div');
+            column.className = 'day-column';
+            column.dataset.day = day;
+            column.innerHTML = `<div class="day-header">${this.getDayName(day)}</div><div class="day-slots"></div>`;
+            dayElements[day] = column.querySelector('.day-slots');
+            grid.appendChild(column);
+        });
+
+        return dayElements;
+    }
+
+    renderGridSettings() {
+        this.elements.gridView.value = this.gridSettings.view;
+        this.elements.gridSlotMinutes.value = String(this.gridSettings.slotMinutes);
+        this.elements.gridRowHeight.value = String(this.gridSettings.rowHeight);
+        this.elements.pdfFormat.value = this.pdfSettings.format;
+        this.elements.pdfOrientation.value = this.pdfSettings.orientation;
+    }
+
+    updateGridSettings() {
+        this.gridSettings = {
+            view: this.scheduleViews.includes(this.elements.gridView.value) ? this.elements.gridView.value : 'grid',
+            slotMinutes: Number(this.elements.gridSlotMinutes.value) || 30,
+            rowHeight: Number(this.elements.gridRowHeight.value) || 30
+        };
+        this.saveToStorage();
+        this.renderCalendar();
+        this.renderCompare();
+        this.renderRoomView();
+    }
+
+    getAllSessions() {
+        const sessions = [];
+        this.selectedCourses.forEach(course => {
+            sessions.push(...this.core.getCourseSessions(course));
+        });
+        return sessions.concat(this.getEventSessions());
+    }
+
+    // Personal events take the shape of a session so that conflicts, the grid
+    // and the exports treat them like classes; eventId tells them apart.
+    getEventSessions(events = this.personalEvents) {
+        return events.map(event => ({
+            label: 'Personal',
+            slotCode: null,
+            day: event.day,
+            startTime: event.startTime,
+            endTime: event.endTime,
+            courseCode: event.title,
+            courseName: event.title,
+            classroom: event.location,
+            eventId: event.id
+        }));
+    }
+
+    // Overlapping sessions share their day column side by side: each cluster
+    // of overlaps is split into as many columns as it needs.
+    getSessionPlacements(sessions) {
+        const placements = new Map();
+        const byDay = {};
+        sessions.forEach(session => {
+            (byDay[session.day] = byDay[session.day] || []).push(session);
+        });
+
+        Object.values(byDay).forEach(daySessions => {
+            const sorted = [...daySessions].sort((a, b) =>
+                this.core.timeToMinutes(a.startTime) - this.core.timeToMinutes(b.startTime) ||
+                this.core.timeToMinutes(b.endTime) - this.core.timeToMinutes(a.endTime)
+            );
+
+            let cluster = [];
+            let columnEnds = [];
+            let clusterEnd = -1;
+
+            const closeCluster = () => {
+                cluster.forEach(session => {
+                    placements.get(session).columns = columnEnds.length;
+                });
+                cluster = [];
+                columnEnds = [];
+            };
+
+            sorted.forEach(session => {
+                const start = this.core.timeToMinutes(session.startTime);
+                const end = this.core.timeToMinutes(session.endTime);
+                if (start >= clusterEnd) closeCluster();
+
+                let column = columnEnds.findIndex(columnEnd => columnEnd <= start);
+                if (column === -1) column = columnEnds.length;
+                columnEnds[column] = end;
+
+                placements.set(session, { column, columns: 1 });
+                cluster.push(session);
+                clusterEnd = Math.max(clusterEnd, end);
+            });
+            closeCluster();
+        });
+
+        return placements;
+    }
+
+    renderSession(session, conflicts, dayElement, colors = this.courseColors, placement = { column: 0, columns: 1 }) {
+        if (!dayElement) return;
+
+        const isConflict = conflicts.includes(session);
+        const colorClass = session.busyId ? 'session-block--busy'
+            : session.eventId ? 'session-block--personal'
+            : `course-color-${colors[session.courseCode]}`;
+        
+        const sessionElement = document.createElement('div');
+        sessionElement.className = `session-block ${colorClass} ${isConflict ? 'conflict' : ''}`;
+        
+        const startMinutes = this.core.timeToMinutes(session.startTime);
+        const endMinutes = this.core.timeToMinutes(session.endTime);
+        const duration = endMinutes - startMinutes;
+        
+        // Calculate position relative to the first row of the grid
+        const { startMinutes: gridStart, slotMinutes, rowHeight } = this.gridLayout;
+        const topOffset = ((startMinutes - gridStart) / slotMinutes) * rowHeight;
+        const height = (duration / slotMinutes) * rowHeight;
+        
+        sessionElement.style.top = `${topOffset}px`;
+        sessionElement.style.height = `${height}px`;
+
+        if (placement.columns > 1) {
+            const width = 100 / placement.columns;
+            sessionElement.style.left = `calc(${placement.column * width}% + 1px)`;
+            sessionElement.style.width = `calc(${width}% - 2px)`;
+            sessionElement.style.right = 'auto';
+        }
+        
+        sessionElement.innerHTML = `
+            <div class="session-block__code">${this.escapeHTML(session.courseCode)}</div>
+            <div class="session-block__room">${this.escapeHTML(session.classroom)}</div>
+            <div class="session-block__type">${this.escapeHTML(session.label)}</div>
+        `;
+        sessionElement.tabIndex = 0;
+        sessionElement.setAttribute('role', 'button');
+        sessionElement.setAttribute('aria-label', this.getSessionDescription(session, isConflict));
+        
+        // Add tooltip events
+        sessionElement.addEventListener('mouseenter', (e) => this.showTooltip(e, session));
+        sessionElement.addEventListener('mouseleave', () => this.hideTooltip());
+        sessionElement.addEventListener('mousemove', (e) => this.updateTooltipPosition(e));
+
+        // Enter or Space shows the same details next to the focused block
+        sessionElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                if (this.elements.tooltip.classList.contains('hidden')) {
+                    const rect = sessionElement.getBoundingClientRect();
+                    this.showTooltip({ clientX: rect.right, clientY: rect.top }, session);
+                    sessionElement.setAttribute('aria-describedby', 'tooltip');
+                } else {
+                    this.hideTooltip();
+                }
+            } else if (e.key === 'Escape') {
+                this.hideTooltip();
+            }
+        });
+        sessionElement.addEventListener('blur', () => {
+            sessionElement.removeAttribute('aria-describedby');
+            this.hideTooltip();
+        });
+        
+        dayElement.appendChild(sessionElement);
+        return sessionElement;
+    }
+
+    // Day order, then start time
+    sortSessions(sessions) {
+        return [...sessions].sort((a, b) =>
+            this.validator.days.indexOf(a.day) - this.validator.days.indexOf(b.day) ||
+            this.core.timeToMinutes(a.startTime) - this.core.timeToMinutes(b.startTime));
+    }
+
+    getSessionDescription(session, isConflict = false) {
+        const when = `${this.getDayName(session.day)} ${session.startTime} to ${session.endTime}`;
+        const where = session.classroom ? `, ${session.busyId || session.eventId ? '' : 'room '}${session.classroom}` : '';
+        const what = session.busyId ? `${session.courseName}, busy from ${session.calendarName}`
+            : session.eventId ? `${session.courseName}, personal event`
+            : `${session.courseCode} ${session.courseName}, ${session.label}`;
+
+        return `${what}, ${when}${where}${isConflict ? ', clashes with another session' : ''}`;
+    }
+
+    getDayName(shortDay) {
+        const dayMap = {
+            'Mon': 'Monday',
+            'Tue': 'Tuesday',
+            'Wed': 'Wednesday',
+            'Thu': 'Thursday',
+            'Fri': 'Friday',
+            'Sat': 'Saturday',
+            'Sun': 'Sunday'
+        };
+        return dayMap[shortDay];
     }
 
     showTooltip(e, session) {
-        const tooltipContent = `
-            <h4>${session.courseCode}</h4>
-            <p><strong>Course:</strong> ${session.courseName}</p>
+        const tooltipContent = session.busyId ? `
+            <h4>${this.escapeHTML(session.courseName)}</h4>
+            <p><strong>Time:</strong> ${session.startTime} - ${session.endTime}</p>
+            ${session.classroom ? `<p><strong>Location:</strong> ${this.escapeHTML(session.classroom)}</p>` : ''}
+            <p><strong>Busy from:</strong> ${this.escapeHTML(session.calendarName)}</p>
+        ` : session.eventId ? `
+            <h4>${this.escapeHTML(session.courseName)}</h4>
+            <p><strong>Time:</strong> ${session.startTime} - ${session.endTime}</p>
+            ${session.classroom ? `<p><strong>Location:</strong> ${this.escapeHTML(session.classroom)}</p>` : ''}
+            <p><strong>Type:</strong> Personal event</p>
+        ` : `
+            <h4>${this.escapeHTML(session.courseCode)}</h4>
+            <p><strong>Course:</strong> ${this.escapeHTML(session.courseName)}</p>
             <p><strong>Time:</strong> ${session.startTime} - ${session.endTime}</p>
-            <p><strong>Room:</strong> ${session.classroom}</p>
-            <p><strong>Type:</strong> ${session.label}</p>
-            ${session.slotCode ? `<p><strong>Slot:</strong> ${session.slotCode}</p>` : ''}
+            <p><strong>Room:</strong> ${this.escapeHTML(session.classroom)}</p>
+            <p><strong>Type:</strong> ${this.escapeHTML(session.label)}</p>
+            ${session.slotCode ? `<p><strong>Slot:</strong> ${this.escapeHTML(session.slotCode)}</p>` : ''}
         `;
         
         this.elements.tooltip.querySelector('.tooltip__content').innerHTML = tooltipContent;
@@ -343,89 +2081,705 @@ class CourseScheduleManager {
         this.updateTooltipPosition(e);
     }
 
-    updateTooltipPosition(e) {
-        const tooltip = this.elements.tooltip;
-        const tooltipRect = tooltip.getBoundingClientRect();
-        
-        let left = e.clientX + 10;
-        let top = e.clientY + 10;
-        
-        // Adjust if tooltip goes off screen
-        if (left + tooltipRect.width > window.innerWidth) {
-            left = e.clientX - tooltipRect.width - 10;
+    updateTooltipPosition(e) {
+        const tooltip = this.elements.tooltip;
+        const tooltipRect = tooltip.getBoundingClientRect();
+        
+        let left = e.clientX + 10;
+        let top = e.clientY + 10;
+        
+        // Adjust if tooltip goes off screen
+        if (left + tooltipRect.width > window.innerWidth) {
+            left = e.clientX - tooltipRect.width - 10;
+        }
+        if (top + tooltipRect.height > window.innerHeight) {
+            top = e.clientY - tooltipRect.height - 10;
+        }
+        
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${top}px`;
+    }
+
+    hideTooltip() {
+        this.elements.tooltip.classList.add('hidden');
+    }
+
+    renderDataProblems() {
+        const panel = this.elements.dataProblems;
+
+        if (this.loadError) {
+            panel.innerHTML = `
+                <div class="status status--error data-problems__status">
+                    <span>⚠️ Could not load the timetable: ${this.escapeHTML(this.loadError.message)}. Course search stays empty until it loads.</span>
+                    <button class="btn btn--sm btn--outline" type="button">Retry</button>
+                </div>
+            `;
+            panel.querySelector('button').addEventListener('click', () => this.retryLoad());
+            panel.classList.remove('hidden');
+            return;
+        }
+
+        if (this.dataProblems.length === 0) {
+            panel.innerHTML = '';
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const errors = this.dataProblems.filter(problem => problem.severity === 'error');
+        const warnings = this.dataProblems.filter(problem => problem.severity === 'warning');
+        const statusClass = errors.length > 0 ? 'status--error' : 'status--warning';
+
+        panel.innerHTML = `
+            <details class="status ${statusClass}">
+                <summary>
+                    ⚠️ Timetable data problems:
+                    ${errors.length} ${errors.length === 1 ? 'entry' : 'entries'} left out,
+                    ${warnings.length} warning${warnings.length === 1 ? '' : 's'}
+                </summary>
+                <ul class="data-problems__list">
+                    ${[...errors, ...warnings].map(({ severity, where, message }) => `
+                        <li class="data-problems__item data-problems__item--${severity}">
+                            <strong>${this.escapeHTML(where)}</strong>: ${this.escapeHTML(message)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    renderOfflineNotice() {
+        const notice = this.elements.offlineNotice;
+        const cachedAt = this.cachedAt ? new Date(this.cachedAt) : null;
+
+        if (!cachedAt || isNaN(cachedAt)) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        notice.innerHTML = `
+            <span>📶 Could not reach the server. Using cached timetable from ${this.escapeHTML(cachedAt.toLocaleString())}.</span>
+            <button class="btn btn--sm btn--outline" type="button">Retry</button>
+        `;
+        notice.querySelector('button').addEventListener('click', () => this.retryLoad());
+        notice.classList.remove('hidden');
+    }
+
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderConflictList(pairs) {
+        const list = this.elements.conflictList;
+        list.innerHTML = '';
+
+        pairs.forEach(pair => {
+            const { first, second, day, start, end, overlapMinutes } = pair;
+            const item = document.createElement('li');
+            item.className = 'conflict-list__item';
+            item.innerHTML = `
+                <div class="conflict-list__info">
+                    <strong>${this.escapeHTML(first.courseCode)}</strong> ${this.escapeHTML(first.label)}
+                    <span class="conflict-list__vs">and</span>
+                    <strong>${this.escapeHTML(second.courseCode)}</strong> ${this.escapeHTML(second.label)}
+                    <span class="conflict-list__time">
+                        ${this.getDayName(day)} ${this.core.minutesToTime(start)}–${this.core.minutesToTime(end)} · ${overlapMinutes} min overlap
+                    </span>
+                </div>
+                <div class="conflict-list__actions"></div>
+            `;
+
+            const actions = item.querySelector('.conflict-list__actions');
+            const courseSessions = [first, second].filter(session => !session.eventId && !session.busyId);
+            const codes = [...new Set(courseSessions.map(session => session.courseCode))];
+            codes.forEach(code => {
+                this.getAlternativeSections(code).forEach(section => {
+                    actions.appendChild(this.createConflictAction(
+                        `Swap to ${section.courseCode}`,
+                        () => this.swapCourseSection(code, section)
+                    ));
+                });
+            });
+            codes.forEach(code => {
+                actions.appendChild(this.createConflictAction(`Remove ${code}`, () => this.removeCourse(code)));
+            });
+            [first, second].filter(session => session.eventId).forEach(session => {
+                actions.appendChild(this.createConflictAction(`Remove ${session.courseName}`, () => this.removePersonalEvent(session.eventId)));
+            });
+            [first, second].filter(session => session.busyId).forEach(session => {
+                actions.appendChild(this.createConflictAction(`Hide ${session.calendarName}`, () => this.toggleBusyCalendar(session.busyId, false)));
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    createConflictAction(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn--sm btn--outline';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Other sections of the same course that would not clash with the rest
+    // of the current selection
+    getAlternativeSections(courseCode) {
+        const baseCode = this.validator.getBaseCourseCode(courseCode);
+        const otherSessions = this.getAllSessions().concat(this.getBusySessions())
+            .filter(session => session.courseCode !== courseCode);
+
+        return this.courses.filter(course =>
+            course.courseCode !== courseCode &&
+            !this.selectedCourses.has(course.courseCode) &&
+            this.validator.getBaseCourseCode(course.courseCode) === baseCode &&
+            !this.core.getCourseSessions(course).some(session =>
+                otherSessions.some(other => this.core.sessionsOverlap(session, other))
+            )
+        );
+    }
+
+    swapCourseSection(courseCode, section) {
+        if (this.sharedPlan) return;
+
+        // Rebuild the map so the new section keeps the old one's position and color
+        const entries = Array.from(this.selectedCourses.entries()).map(([code, course]) =>
+            code === courseCode ? [section.courseCode, section] : [code, course]
+        );
+        this.selectedCourses = new Map(entries);
+        this.courseColors[section.courseCode] = this.courseColors[courseCode];
+        delete this.courseColors[courseCode];
+
+        this.renderSelectedCourses();
+        this.renderCalendar();
+        this.saveToStorage();
+    }
+
+    showConflictWarning() {
+        this.elements.conflictWarning.classList.remove('hidden');
+    }
+
+    hideConflictWarning() {
+        this.elements.conflictWarning.classList.add('hidden');
+    }
+
+    showLoading() {
+        this.elements.loadingOverlay.classList.remove('hidden');
+    }
+
+    hideLoading() {
+        this.elements.loadingOverlay.classList.add('hidden');
+    }
+
+    // Schedule Generator
+    // Sections sharing a base course code are treated as interchangeable
+    // alternatives.
+    getCourseGroups() {
+        const groups = new Map();
+        this.courses.forEach(course => {
+            const baseCode = this.validator.getBaseCourseCode(course.courseCode);
+            if (!groups.has(baseCode)) {
+                groups.set(baseCode, { baseCode, courseName: course.courseName, sections: [] });
+            }
+            groups.get(baseCode).sections.push(course);
+        });
+        return groups;
+    }
+
+    renderGeneratorOptions() {
+        const select = this.elements.generatorCourseSelect;
+        select.innerHTML = '<option value="">Choose a course...</option>';
+
+        this.getCourseGroups().forEach(group => {
+            const option = document.createElement('option');
+            const sectionCount = group.sections.length;
+            option.value = group.baseCode;
+            option.textContent = `${group.baseCode} - ${group.courseName}` +
+                (sectionCount > 1 ? ` (${sectionCount} sections)` : '');
+            select.appendChild(option);
+        });
+
+        this.elements.generatorSort.value = this.generator.sortBy;
+        this.elements.generatorEarliest.value = this.generator.earliestStart;
+        this.renderGeneratorGroups();
+        this.renderGeneratorResults();
+    }
+
+    addGeneratorGroup(baseCode) {
+        if (!baseCode || this.generator.groups.some(group => group.baseCode === baseCode)) return;
+
+        this.generator.groups.push({ baseCode, optional: false });
+        this.elements.generatorCourseSelect.value = '';
+        this.renderGeneratorGroups();
+    }
+
+    removeGeneratorGroup(baseCode) {
+        this.generator.groups = this.generator.groups.filter(group => group.baseCode !== baseCode);
+        this.renderGeneratorGroups();
+    }
+
+    renderGeneratorGroups() {
+        const list = this.elements.generatorGroups;
+        list.innerHTML = '';
+
+        if (this.generator.groups.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>Add the courses you need. Sections of the same course are tried as alternatives.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const courseGroups = this.getCourseGroups();
+        this.generator.groups.forEach(group => {
+            const sections = courseGroups.get(group.baseCode)?.sections || [];
+            const item = document.createElement('div');
+            item.className = 'generator-group';
+            item.innerHTML = `
+                <div class="generator-group__info">
+                    <strong>${this.escapeHTML(group.baseCode)}</strong>
+                    <span>${this.escapeHTML(sections.map(section => section.courseCode).join(', '))}</span>
+                </div>
+                <label class="generator-group__optional">
+                    <input type="checkbox" ${group.optional ? 'checked' : ''}> Optional
+                </label>
+                <button class="course-chip__remove" type="button" aria-label="Remove ${this.escapeHTML(group.baseCode)}">×</button>
+            `;
+
+            item.querySelector('input').addEventListener('change', (e) => {
+                group.optional = e.target.checked;
+            });
+            item.querySelector('button').addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.removeGeneratorGroup(group.baseCode);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    runGenerator() {
+        if (this.generator.groups.length === 0) {
+            alert('Please add courses to generate schedules from');
+            return;
+        }
+
+        const courseGroups = this.getCourseGroups();
+        const groups = this.generator.groups
+            .map(group => ({ ...group, sections: courseGroups.get(group.baseCode)?.sections || [] }))
+            .filter(group => group.sections.length > 0);
+
+        const { results, found, searchedAll } = this.generateSchedules(groups, this.getEventSessions().concat(this.getBusySessions()));
+        Object.assign(this.generator, { results, found, searchedAll });
+        this.renderGeneratorResults();
+    }
+
+    // Depth-first search over one section per course, pruning as soon as a
+    // section clashes with what has already been picked or with blocked time.
+    // Schedules are ranked as they are found and only the best
+    // maxGeneratedSchedules are kept, so later finds still get their chance;
+    // the search itself stops after maxSearchedSchedules.
+    generateSchedules(groups, blocked = []) {
+        let results = [];
+        let found = 0;
+        const keepBest = () => {
+            results = results.sort((a, b) => this.compareGeneratedSchedules(a, b)).slice(0, this.maxGeneratedSchedules);
+        };
+
+        const search = (index, chosen, sessions) => {
+            if (found >= this.maxSearchedSchedules) return;
+
+            if (index === groups.length) {
+                if (chosen.length > 0) {
+                    found++;
+                    results.push({ courses: [...chosen], sessions, stats: this.getScheduleStats(sessions) });
+                    if (results.length >= 2 * this.maxGeneratedSchedules) keepBest();
+                }
+                return;
+            }
+
+            const group = groups[index];
+            group.sections.forEach(section => {
+                const sectionSessions = this.core.getCourseSessions(section);
+                const clashes = sectionSessions.some(session =>
+                    sessions.some(other => this.core.sessionsOverlap(session, other)) ||
+                    blocked.some(other => this.core.sessionsOverlap(session, other))
+                );
+                if (clashes) return;
+
+                chosen.push(section);
+                search(index + 1, chosen, sessions.concat(sectionSessions));
+                chosen.pop();
+            });
+
+            if (group.optional) {
+                search(index + 1, chosen, sessions);
+            }
+        };
+
+        search(0, [], []);
+        keepBest();
+        return { results, found, searchedAll: found < this.maxSearchedSchedules };
+    }
+
+    getScheduleStats(sessions) {
+        const cutoff = this.core.timeToMinutes(this.generator.earliestStart);
+        const byDay = {};
+        sessions.forEach(session => {
+            (byDay[session.day] = byDay[session.day] || []).push(session);
+        });
+
+        let gapMinutes = 0;
+        Object.values(byDay).forEach(daySessions => {
+            const sorted = daySessions
+                .map(session => [this.core.timeToMinutes(session.startTime), this.core.timeToMinutes(session.endTime)])
+                .sort((a, b) => a[0] - b[0]);
+            for (let i = 1; i < sorted.length; i++) {
+                gapMinutes += Math.max(0, sorted[i][0] - sorted[i - 1][1]);
+            }
+        });
+
+        return {
+            days: Object.keys(byDay).length,
+            early: sessions.filter(session => this.core.timeToMinutes(session.startTime) < cutoff).length,
+            gapMinutes
+        };
+    }
+
+    // Room Functions
+    getRooms() {
+        return [...new Set(this.courses.map(course => course.classroom).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    getRoomSessions(room) {
+        return this.courses
+            .filter(course => course.classroom === room)
+            .flatMap(course => this.core.getCourseSessions(course));
+    }
+
+    renderRoomOptions() {
+        const current = this.elements.roomSelect.value;
+        const rooms = this.getRooms();
+
+        this.elements.roomSelect.innerHTML = rooms.map(room =>
+            `<option value="${this.escapeHTML(room)}">${this.escapeHTML(room)}</option>`
+        ).join('');
+        if (rooms.includes(current)) {
+            this.elements.roomSelect.value = current;
+        }
+    }
+
+    // The room's week is drawn on the same grid as the schedule; rendering
+    // waits until the panel is opened
+    renderRoomView() {
+        if (!this.elements.roomsPanel.open) return;
+
+        const room = this.elements.roomSelect.value;
+        const sessions = room ? this.getRoomSessions(room) : [];
+        const colors = {};
+        [...new Set(sessions.map(session => session.courseCode))].forEach((code, index) => {
+            colors[code] = index % this.maxColors;
+        });
+
+        const bookedMinutes = sessions.reduce((total, session) =>
+            total + this.core.timeToMinutes(session.endTime) - this.core.timeToMinutes(session.startTime), 0);
+        this.elements.roomSummary.textContent = room
+            ? `${room}: ${Object.keys(colors).length} course${Object.keys(colors).length === 1 ? '' : 's'}, ${sessions.length} session${sessions.length === 1 ? '' : 's'}, booked ${this.formatDuration(bookedMinutes)} per week`
+            : 'No classrooms are listed in the timetable.';
+
+        this.renderPlanGrid(this.elements.roomGrid, { sessions, conflicts: this.core.detectConflicts(sessions) }, colors);
+    }
+
+    // Rooms only count as free when none of their sessions overlap the
+    // requested time; rooms that never appear in the timetable are unknown.
+    findFreeRooms() {
+        const day = this.elements.freeRoomDay.value;
+        const startTime = this.validator.normalizeTime(this.elements.freeRoomStart.value);
+        const endTime = this.validator.normalizeTime(this.elements.freeRoomEnd.value);
+
+        if (!startTime || !endTime || endTime <= startTime) {
+            alert('Please choose an end time after the start time');
+            return;
         }
-        if (top + tooltipRect.height > window.innerHeight) {
-            top = e.clientY - tooltipRect.height - 10;
+
+        const wanted = { day, startTime, endTime };
+        const free = this.getRooms().map(room => {
+            const daySessions = this.getRoomSessions(room).filter(session => session.day === day);
+            if (daySessions.some(session => this.core.sessionsOverlap(session, wanted))) return null;
+
+            const next = daySessions
+                .filter(session => session.startTime >= endTime)
+                .sort((a, b) => this.core.timeToMinutes(a.startTime) - this.core.timeToMinutes(b.startTime))[0];
+            return { room, next };
+        }).filter(Boolean);
+
+        const results = this.elements.freeRoomResults;
+        if (free.length === 0) {
+            results.innerHTML = `<p class="stats-panel__empty">Every known classroom is in use on ${this.getDayName(day)} between ${startTime} and ${endTime}.</p>`;
+            return;
         }
-        
-        tooltip.style.left = `${left}px`;
-        tooltip.style.top = `${top}px`;
+
+        results.innerHTML = `
+            <p class="rooms-panel__count">${free.length} of ${this.getRooms().length} classrooms are free on ${this.getDayName(day)} ${startTime}–${endTime}</p>
+            <ul class="rooms-panel__free">
+                ${free.map(({ room, next }) => `
+                    <li>
+                        <strong>${this.escapeHTML(room)}</strong>
+                        <span>${next ? `free until ${next.startTime} (${this.escapeHTML(next.courseCode)})` : 'free for the rest of the day'}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
     }
 
-    hideTooltip() {
-        this.elements.tooltip.classList.add('hidden');
+    // Analytics Functions
+    // Workload figures cover course sessions only; personal events and busy
+    // time are not contact hours.
+    getScheduleAnalytics(sessions) {
+        const duration = session => this.core.timeToMinutes(session.endTime) - this.core.timeToMinutes(session.startTime);
+        const add = (totals, key, minutes) => totals.set(key, (totals.get(key) || 0) + minutes);
+
+        const byCourse = new Map();
+        const byType = new Map();
+        const byDay = new Map();
+        sessions.forEach(session => {
+            add(byCourse, session.courseCode, duration(session));
+            add(byType, session.label || 'Other', duration(session));
+            add(byDay, session.day, duration(session));
+        });
+
+        const gaps = [];
+        const roomChanges = [];
+        let earliest = null;
+        let latest = null;
+
+        this.validator.days.filter(day => byDay.has(day)).forEach(day => {
+            const daySessions = sessions
+                .filter(session => session.day === day)
+                .sort((a, b) => this.core.timeToMinutes(a.startTime) - this.core.timeToMinutes(b.startTime));
+
+            const first = daySessions[0];
+            const last = daySessions.reduce((a, b) => this.core.timeToMinutes(b.endTime) > this.core.timeToMinutes(a.endTime) ? b : a);
+            if (!earliest || this.core.timeToMinutes(first.startTime) < this.core.timeToMinutes(earliest.startTime)) earliest = first;
+            if (!latest || this.core.timeToMinutes(last.endTime) > this.core.timeToMinutes(latest.endTime)) latest = last;
+
+            // Walk the day keeping the session that ends last, so overlaps never count as gaps
+            let previous = first;
+            daySessions.slice(1).forEach(session => {
+                const gap = this.core.timeToMinutes(session.startTime) - this.core.timeToMinutes(previous.endTime);
+                if (gap > 0) {
+                    gaps.push({ day, start: previous.endTime, end: session.startTime, minutes: gap });
+                }
+                if (gap >= 0 && gap <= this.backToBackMinutes && previous.classroom && session.classroom &&
+                    previous.classroom !== session.classroom) {
+                    roomChanges.push({ day, from: previous, to: session, minutes: gap });
+                }
+                if (this.core.timeToMinutes(session.endTime) > this.core.timeToMinutes(previous.endTime)) {
+                    previous = session;
+                }
+            });
+        });
+
+        return {
+            totalMinutes: sessions.reduce((total, session) => total + duration(session), 0),
+            byCourse,
+            byType,
+            byDay,
+            days: this.validator.days.filter(day => byDay.has(day)),
+            earliest,
+            latest,
+            gaps,
+            roomChanges
+        };
     }
 
-    showConflictWarning() {
-        this.elements.conflictWarning.classList.remove('hidden');
+    renderStats() {
+        const panel = this.elements.statsPanel;
+        const sessions = this.getAllSessions().filter(session => !session.eventId);
+
+        if (sessions.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const stats = this.getScheduleAnalytics(sessions);
+        const gapMinutes = stats.gaps.reduce((total, gap) => total + gap.minutes, 0);
+        const maxDayMinutes = Math.max(...stats.byDay.values());
+        const rows = (totals) => [...totals.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, minutes]) => `<tr><th>${this.escapeHTML(key)}</th><td>${this.formatDuration(minutes)}</td></tr>`)
+            .join('');
+
+        panel.innerHTML = `
+            <div class="calendar-header">
+                <h2>Schedule Insights</h2>
+            </div>
+            <div class="stats-panel__tiles">
+                <div class="stats-tile"><span class="stats-tile__value">${this.formatDuration(stats.totalMinutes)}</span><span class="stats-tile__label">Contact hours per week</span></div>
+                <div class="stats-tile"><span class="stats-tile__value">${stats.days.length}</span><span class="stats-tile__label">Days on campus (${stats.days.join(', ')})</span></div>
+                <div class="stats-tile"><span class="stats-tile__value">${stats.earliest.startTime}</span><span class="stats-tile__label">Earliest start (${this.getDayName(stats.earliest.day)})</span></div>
+                <div class="stats-tile"><span class="stats-tile__value">${stats.latest.endTime}</span><span class="stats-tile__label">Latest finish (${this.getDayName(stats.latest.day)})</span></div>
+                <div class="stats-tile"><span class="stats-tile__value">${this.formatDuration(gapMinutes)}</span><span class="stats-tile__label">Idle time between classes</span></div>
+                <div class="stats-tile"><span class="stats-tile__value">${stats.roomChanges.length}</span><span class="stats-tile__label">Quick room changes</span></div>
+            </div>
+            <div class="stats-panel__grid">
+                <div>
+                    <h3>Hours by course</h3>
+                    <table class="compare-table"><tbody>${rows(stats.byCourse)}</tbody></table>
+                </div>
+                <div>
+                    <h3>Hours by type</h3>
+                    <table class="compare-table"><tbody>${rows(stats.byType)}</tbody></table>
+                </div>
+                <div>
+                    <h3>Hours per day</h3>
+                    <ul class="stats-bars">
+                        ${stats.days.map(day => `
+                            <li class="stats-bars__row">
+                                <span class="stats-bars__day">${day}</span>
+                                <span class="stats-bars__track"><span class="stats-bars__fill" style="width: ${(stats.byDay.get(day) / maxDayMinutes) * 100}%"></span></span>
+                                <span class="stats-bars__value">${this.formatDuration(stats.byDay.get(day))}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            </div>
+            <div class="stats-panel__grid">
+                <div>
+                    <h3>Gaps between classes</h3>
+                    ${stats.gaps.length === 0 ? '<p class="stats-panel__empty">No gaps. Every day runs straight through.</p>' : `
+                        <ul class="stats-panel__list">
+                            ${stats.gaps.map(gap => `<li>${this.getDayName(gap.day)} ${gap.start}–${gap.end} <span>${this.formatDuration(gap.minutes)}</span></li>`).join('')}
+                        </ul>
+                    `}
+                </div>
+                <div>
+                    <h3>Back-to-back room changes</h3>
+                    ${stats.roomChanges.length === 0 ? `<p class="stats-panel__empty">No room changes with ${this.backToBackMinutes} minutes or less to get there.</p>` : `
+                        <ul class="stats-panel__list">
+                            ${stats.roomChanges.map(({ day, from, to, minutes }) => `
+                                <li>
+                                    ${this.getDayName(day)} ${from.endTime}: ${this.escapeHTML(from.courseCode)} in ${this.escapeHTML(from.classroom)}
+                                    → ${this.escapeHTML(to.courseCode)} in ${this.escapeHTML(to.classroom)}
+                                    <span>${minutes === 0 ? 'no break' : `${minutes}m to get there`}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    `}
+                </div>
+            </div>
+        `;
+        panel.classList.remove('hidden');
     }
 
-    hideConflictWarning() {
-        this.elements.conflictWarning.classList.add('hidden');
+    // Schedules that fit more of the optional courses always come first
+    compareGeneratedSchedules(a, b) {
+        const criteria = {
+            days: ['days', 'early', 'gapMinutes'],
+            early: ['early', 'days', 'gapMinutes'],
+            gaps: ['gapMinutes', 'days', 'early']
+        };
+        const order = criteria[this.generator.sortBy] || criteria.days;
+
+        if (a.courses.length !== b.courses.length) return b.courses.length - a.courses.length;
+        for (const key of order) {
+            if (a.stats[key] !== b.stats[key]) return a.stats[key] - b.stats[key];
+        }
+        return 0;
     }
 
-    showLoading() {
-        this.elements.loadingOverlay.classList.remove('hidden');
+    renderGeneratorResults() {
+        const container = this.elements.generatorResults;
+        const results = this.generator.results;
+        container.innerHTML = '';
+
+        if (results.length === 0) {
+            if (this.generator.groups.length > 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <p>No conflict-free schedule found. Try marking some courses as optional.</p>
+                    </div>
+                `;
+            }
+            return;
+        }
+
+        const summary = document.createElement('p');
+        summary.className = 'generator-results__summary';
+        const { found, searchedAll } = this.generator;
+        summary.textContent = searchedAll
+            ? `Showing the best ${Math.min(results.length, this.maxRenderedSchedules)} of ${found} conflict-free schedules`
+            : `Showing the best ${Math.min(results.length, this.maxRenderedSchedules)} of the first ${found} conflict-free schedules found. ` +
+                'There are more, and some may be better; try fewer courses to search them all.';
+        container.appendChild(summary);
+
+        results.slice(0, this.maxRenderedSchedules).forEach((result, index) => {
+            const { days, early, gapMinutes } = result.stats;
+            const card = document.createElement('div');
+            card.className = 'generator-result';
+            card.innerHTML = `
+                <div class="generator-result__header">
+                    <strong>Option ${index + 1}</strong>
+                    <span>${days} day${days === 1 ? '' : 's'} on campus · ${early} class${early === 1 ? '' : 'es'} before ${this.generator.earliestStart} · ${this.formatDuration(gapMinutes)} of gaps</span>
+                </div>
+                <div class="generator-result__courses">
+                    ${result.courses.map(course => `<span class="generator-result__course">${this.escapeHTML(course.courseCode)}</span>`).join('')}
+                </div>
+                <button class="btn btn--sm btn--primary" type="button">Apply</button>
+            `;
+
+            card.querySelector('button').addEventListener('click', () => this.applyGeneratedSchedule(result));
+            container.appendChild(card);
+        });
     }
 
-    hideLoading() {
-        this.elements.loadingOverlay.classList.add('hidden');
+    applyGeneratedSchedule(result) {
+        if (this.sharedPlan) return;
+
+        this.selectedCourses.clear();
+        this.courseColors = {};
+        this.colorIndex = 0;
+
+        result.courses.forEach(course => {
+            this.assignCourseColor(course.courseCode);
+            this.selectedCourses.set(course.courseCode, course);
+        });
+
+        this.renderSelectedCourses();
+        this.renderCalendar();
+        this.saveToStorage();
+    }
+
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        if (hours === 0) return `${mins}m`;
+        return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
     }
 
     // Export Functions
     async exportICS() {
-        if (this.selectedCourses.size === 0) {
-            alert('Please select courses first');
+        if (this.getAllSessions().length === 0) {
+            alert('Please select courses or add personal events first');
             return;
         }
 
+        const term = this.getTermRange();
+        if (!term) return;
+
         this.showLoading();
 
         try {
-            // Generate ICS content manually
-            let icsContent = [
-                'BEGIN:VCALENDAR',
-                'VERSION:2.0',
-                'PRODID:-//Course Schedule Manager//Course Schedule//EN',
-                'CALSCALE:GREGORIAN',
-                'METHOD:PUBLISH'
-            ];
-
-            this.selectedCourses.forEach(course => {
-                course.sessions.forEach(session => {
-                    const startDate = this.getICSDateTime(session.day, session.startTime);
-                    const endDate = this.getICSDateTime(session.day, session.endTime);
-                    const uid = `${course.courseCode}-${session.day}-${session.startTime}@coursescheduler.com`;
-                    
-                    icsContent.push(
-                        'BEGIN:VEVENT',
-                        `UID:${uid}`,
-                        `DTSTART:${startDate}`,
-                        `DTEND:${endDate}`,
-                        `SUMMARY:${course.courseCode} - ${session.label}`,
-                        `DESCRIPTION:${course.courseName}\\nRoom: ${course.classroom}`,
-                        `LOCATION:${course.classroom}`,
-                        'RRULE:FREQ=WEEKLY;COUNT=16',
-                        'STATUS:CONFIRMED',
-                        'SEQUENCE:0',
-                        'END:VEVENT'
-                    );
-                });
-            });
-
-            icsContent.push('END:VCALENDAR');
-            
-            const icsString = icsContent.join('\r\n');
+            const icsString = this.core.buildICS(this.getAllSessions(), term);
             const blob = new Blob([icsString], { type: 'text/calendar;charset=utf-8' });
             this.downloadFile(blob, 'course-schedule.ics');
         } catch (error) {
@@ -436,9 +2790,19 @@ class CourseScheduleManager {
         }
     }
 
-    async exportPDF() {
-        if (this.selectedCourses.size === 0) {
-            alert('Please select courses first');
+    updatePDFSettings() {
+        this.pdfSettings = {
+            format: this.elements.pdfFormat.value || 'a4',
+            orientation: this.elements.pdfOrientation.value || 'landscape'
+        };
+        this.saveToStorage();
+    }
+
+    // Draws the week with jsPDF primitives so the text stays sharp and
+    // searchable, followed by a legend listing every selected course
+    exportPDF() {
+        if (this.getAllSessions().length === 0) {
+            alert('Please select courses or add personal events first');
             return;
         }
 
@@ -446,21 +2810,12 @@ class CourseScheduleManager {
         
         try {
             const { jsPDF } = window.jspdf;
-            const calendar = document.querySelector('.calendar-container');
-            
-            const canvas = await html2canvas(calendar, {
-                scale: 2,
-                useCORS: true,
-                backgroundColor: '#ffffff'
-            });
-            
-            const imgData = canvas.toDataURL('image/png');
-            const pdf = new jsPDF('landscape');
-            
-            const imgWidth = 280;
-            const imgHeight = (canvas.height * imgWidth) / canvas.width;
-            
-            pdf.addImage(imgData, 'PNG', 10, 10, imgWidth, imgHeight);
+            const pdf = new jsPDF({ unit: 'mm', ...this.pdfSettings });
+
+            this.drawPDFGrid(pdf);
+            pdf.addPage();
+            this.drawPDFLegend(pdf);
+
             pdf.save('course-schedule.pdf');
         } catch (error) {
             console.error('Error generating PDF:', error);
@@ -470,16 +2825,208 @@ class CourseScheduleManager {
         }
     }
 
+    drawPDFGrid(pdf) {
+        const { days, startMinutes, endMinutes, slotMinutes } = this.getGridLayout();
+        const sessions = this.getAllSessions();
+        const conflicts = this.core.detectConflicts(sessions);
+        const placements = this.getSessionPlacements(sessions);
+
+        const margin = 10;
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const timeWidth = 14;
+        const headerHeight = 8;
+        const top = margin + 10;
+        const left = margin + timeWidth;
+        const dayWidth = (pageWidth - left - margin) / days.length;
+        const mmPerMinute = (pageHeight - top - headerHeight - margin) / (endMinutes - startMinutes);
+        const gridTop = top + headerHeight;
+        const gridBottom = gridTop + (endMinutes - startMinutes) * mmPerMinute;
+        const yFor = minutes => gridTop + (minutes - startMinutes) * mmPerMinute;
+
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(14);
+        pdf.setTextColor('#13343B');
+        pdf.text(this.getPDFTitle(), margin, margin + 5);
+
+        // Day headers
+        pdf.setFontSize(10);
+        days.forEach((day, index) => {
+            pdf.text(this.getDayName(day), left + dayWidth * (index + 0.5), top + 5.5, { align: 'center' });
+        });
+
+        // Rows, labelled on the hour unless each row is an hour or longer
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(7);
+        for (let minutes = startMinutes; minutes <= endMinutes; minutes += slotMinutes) {
+            const y = yFor(minutes);
+            const onHour = minutes % 60 === 0;
+            pdf.setDrawColor(onHour ? '#C8C8C8' : '#E6E6E6');
+            pdf.setLineWidth(onHour ? 0.2 : 0.1);
+            pdf.line(left, y, pageWidth - margin, y);
+            if (minutes < endMinutes && (onHour || slotMinutes >= 60)) {
+                pdf.setTextColor('#626C71');
+                pdf.text(this.core.minutesToTime(minutes), left - 2, y + 2.5, { align: 'right' });
+            }
+        }
+
+        pdf.setDrawColor('#C8C8C8');
+        pdf.setLineWidth(0.2);
+        for (let index = 0; index <= days.length; index++) {
+            const x = left + dayWidth * index;
+            pdf.line(x, top, x, gridBottom);
+        }
+        pdf.line(left, top, pageWidth - margin, top);
+
+        sessions.forEach(session => {
+            const column = days.indexOf(session.day);
+            if (column === -1) return;
+
+            const { column: slot, columns } = placements.get(session);
+            const width = dayWidth / columns;
+            const x = left + dayWidth * column + width * slot + 0.4;
+            const y = yFor(this.core.timeToMinutes(session.startTime)) + 0.3;
+            const boxWidth = width - 0.8;
+            const boxHeight = yFor(this.core.timeToMinutes(session.endTime)) - y - 0.3;
+            const color = session.eventId
+                ? this.personalColor
+                : this.colorPalette[this.courseColors[session.courseCode] % this.colorPalette.length] || this.colorPalette[0];
+
+            pdf.setFillColor(color.fill);
+            if (conflicts.includes(session)) {
+                pdf.setDrawColor('#C0152F');
+                pdf.setLineWidth(0.6);
+                pdf.roundedRect(x, y, boxWidth, boxHeight, 1, 1, 'FD');
+            } else {
+                pdf.roundedRect(x, y, boxWidth, boxHeight, 1, 1, 'F');
+            }
+
+            this.drawPDFSessionText(pdf, session, color.text, x + 1, y, boxWidth - 2, boxHeight);
+        });
+    }
+
+    // Writes as many of code, room and type as fit inside the session box
+    drawPDFSessionText(pdf, session, textColor, x, y, width, height) {
+        const lineHeight = 3;
+        const lines = [
+            { text: session.courseCode, bold: true },
+            { text: session.classroom, bold: false },
+            { text: `${session.label} ${session.startTime}-${session.endTime}`, bold: false }
+        ];
+
+        pdf.setFontSize(7);
+        pdf.setTextColor(textColor);
+
+        let cursor = y + lineHeight;
+        lines.forEach(({ text, bold }) => {
+            if (!text) return;
+            pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+            pdf.splitTextToSize(text, width).forEach(part => {
+                if (cursor > y + height - 0.5) return;
+                pdf.text(part, x, cursor);
+                cursor += lineHeight;
+            });
+        });
+    }
+
+    drawPDFLegend(pdf) {
+        const margin = 10;
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const textLeft = margin + 8;
+        const textWidth = pageWidth - textLeft - margin;
+        let y = margin + 5;
+
+        const ensureSpace = (height) => {
+            if (y + height > pageHeight - margin) {
+                pdf.addPage();
+                y = margin + 5;
+            }
+        };
+
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(14);
+        pdf.setTextColor('#13343B');
+        pdf.text('Courses', margin, y);
+        y += 10;
+
+        this.selectedCourses.forEach(course => {
+            const color = this.colorPalette[this.courseColors[course.courseCode] % this.colorPalette.length] || this.colorPalette[0];
+            const sessions = [...course.sessions].sort((a, b) =>
+                this.validator.days.indexOf(a.day) - this.validator.days.indexOf(b.day) ||
+                this.core.timeToMinutes(a.startTime) - this.core.timeToMinutes(b.startTime)
+            );
+
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(11);
+            const title = pdf.splitTextToSize(`${course.courseCode} - ${course.courseName}`, textWidth);
+            ensureSpace(title.length * 5 + 5 + sessions.length * 4.5);
+
+            pdf.setFillColor(color.fill);
+            pdf.roundedRect(margin, y - 3.5, 5, 5, 1, 1, 'F');
+            pdf.setTextColor('#13343B');
+            pdf.text(title, textLeft, y);
+            y += title.length * 5;
+
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(9);
+            pdf.setTextColor('#626C71');
+            pdf.text(`Classroom: ${course.classroom || 'not listed'}`, textLeft, y);
+            y += 5;
+
+            pdf.setTextColor('#13343B');
+            sessions.forEach(session => {
+                ensureSpace(4.5);
+                const slot = session.slotCode ? ` (${session.slotCode})` : '';
+                pdf.text(`${this.getDayName(session.day)}  ${session.startTime}-${session.endTime}  ${session.label}${slot}`, textLeft + 2, y);
+                y += 4.5;
+            });
+
+            y += 4;
+        });
+
+        if (this.personalEvents.length === 0) return;
+
+        ensureSpace(20);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(14);
+        pdf.setTextColor('#13343B');
+        pdf.text('Personal events', margin, y);
+        y += 8;
+
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(9);
+        this.personalEvents.forEach(event => {
+            ensureSpace(5);
+            pdf.setFillColor(this.personalColor.fill);
+            pdf.roundedRect(margin, y - 3.5, 5, 5, 1, 1, 'F');
+            const location = event.location ? `  at ${event.location}` : '';
+            pdf.text(`${event.title}: ${this.getDayName(event.day)}  ${event.startTime}-${event.endTime}${location}`, textLeft, y);
+            y += 5.5;
+        });
+    }
+
+    getPDFTitle() {
+        const plan = this.sharedPlan || this.getActivePlan();
+        const term = this.getActiveTerm();
+        return ['Course Schedule', term?.name, plan?.name].filter(Boolean).join(' - ');
+    }
+
     async exportPNG() {
-        if (this.selectedCourses.size === 0) {
-            alert('Please select courses first');
+        if (this.getAllSessions().length === 0) {
+            alert('Please select courses or add personal events first');
             return;
         }
 
         this.showLoading();
         
         try {
-            const calendar = document.querySelector('.calendar-container');
+            // Captures whichever view is showing
+            const calendar = {
+                grid: this.elements.calendarContainer,
+                list: this.elements.scheduleList,
+                today: this.elements.agenda
+            }[this.gridSettings.view];
             const canvas = await html2canvas(calendar, {
                 scale: 2,
                 useCORS: true,
@@ -497,49 +3044,249 @@ class CourseScheduleManager {
         }
     }
 
-    getICSDateTime(day, time) {
-        const dayMap = { 'Mon': 1, 'Tue': 2, 'Wed': 3, 'Thu': 4, 'Fri': 5 };
-        const [hours, minutes] = time.split(':').map(Number);
-        
-        // Get next occurrence of the day
-        const today = new Date();
-        const dayOfWeek = dayMap[day];
-        const daysUntilTarget = (dayOfWeek - today.getDay() + 7) % 7 || 7;
-        
-        const targetDate = new Date(today);
-        targetDate.setDate(today.getDate() + daysUntilTarget);
-        targetDate.setHours(hours, minutes, 0, 0);
-        
-        // Format as YYYYMMDDTHHMMSS
-        const year = targetDate.getFullYear();
-        const month = String(targetDate.getMonth() + 1).padStart(2, '0');
-        const date = String(targetDate.getDate()).padStart(2, '0');
-        const hour = String(targetDate.getHours()).padStart(2, '0');
-        const minute = String(targetDate.getMinutes()).padStart(2, '0');
-        
-        return `${year}${month}${date}T${hour}${minute}00`;
+    // Table Exports
+    // One row per session of the current plan, personal events included
+    getSessionTable() {
+        const header = ['Day', 'Start', 'End', 'Course code', 'Course name', 'Type', 'Room', 'Slot'];
+        const rows = this.sortSessions(this.getAllSessions()).map(session => [
+            this.getDayName(session.day),
+            session.startTime,
+            session.endTime,
+            session.eventId ? '' : session.courseCode,
+            session.courseName,
+            session.eventId ? 'Personal event' : session.label,
+            session.classroom || '',
+            session.slotCode || ''
+        ]);
+        return { header, rows };
     }
 
-    getEventDateTime(day, time) {
-        const dayMap = { 'Mon': 1, 'Tue': 2, 'Wed': 3, 'Thu': 4, 'Fri': 5 };
-        const [hours, minutes] = time.split(':').map(Number);
-        
-        // Get next occurrence of the day
-        const today = new Date();
-        const dayOfWeek = dayMap[day];
-        const daysUntilTarget = (dayOfWeek - today.getDay() + 7) % 7 || 7;
-        
-        const targetDate = new Date(today);
-        targetDate.setDate(today.getDate() + daysUntilTarget);
-        targetDate.setHours(hours, minutes, 0, 0);
-        
-        return [
-            targetDate.getFullYear(),
-            targetDate.getMonth() + 1,
-            targetDate.getDate(),
-            hours,
-            minutes
-        ];
+    exportCSV() {
+        if (this.getAllSessions().length === 0) {
+            alert('Please select courses or add personal events first');
+            return;
+        }
+
+        // Fields with commas, quotes or line breaks are quoted (RFC 4180)
+        const toField = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const { header, rows } = this.getSessionTable();
+        const csv = [header, ...rows].map(row => row.map(value => toField(String(value))).join(',')).join('\r\n');
+
+        // The byte order mark makes Excel read the file as UTF-8
+        const blob = new Blob(['\uFEFF' + csv + '\r\n'], { type: 'text/csv;charset=utf-8' });
+        this.downloadFile(blob, 'course-schedule.csv');
+    }
+
+    exportMarkdown() {
+        if (this.getAllSessions().length === 0) {
+            alert('Please select courses or add personal events first');
+            return;
+        }
+
+        const toCell = value => String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const { header, rows } = this.getSessionTable();
+        const markdown = [
+            `## ${this.getPDFTitle()}`,
+            '',
+            `| ${header.join(' | ')} |`,
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(toCell).join(' | ')} |`)
+        ].join('\n');
+
+        const blob = new Blob([markdown + '\n'], { type: 'text/markdown;charset=utf-8' });
+        this.downloadFile(blob, 'course-schedule.md');
+    }
+
+    // Backup Functions
+    // A backup holds the active term's plans (with their session snapshots),
+    // term dates and the global grid, PDF and busy-calendar settings.
+    exportBackup() {
+        this.saveToStorage();
+
+        const term = this.getActiveTerm();
+        const backup = {
+            format: 'course-schedule-backup',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            term: { id: term.id, name: term.name },
+            activePlanId: this.activePlanId,
+            plans: this.plans,
+            termSettings: this.termSettings,
+            gridSettings: this.gridSettings,
+            pdfSettings: this.pdfSettings,
+            busyCalendars: this.busyCalendars
+        };
+
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        this.downloadFile(blob, `course-schedule-backup-${backup.exportedAt.slice(0, 10)}.json`);
+    }
+
+    async restoreBackup(file) {
+        if (!file || this.sharedPlan) return;
+
+        try {
+            const backup = JSON.parse(await file.text());
+            if (backup?.format !== 'course-schedule-backup' || !Array.isArray(backup.plans)) {
+                throw new Error('this is not a schedule backup file');
+            }
+            if (backup.version !== 1) {
+                throw new Error(`backup version ${backup.version} is not supported`);
+            }
+
+            const { plans, missing: missingCodes } = this.readBackupPlans(backup.plans);
+            const missing = [...new Set(missingCodes)];
+            if (plans.length === 0) {
+                throw new Error('the backup contains no plans');
+            }
+
+            const term = this.getActiveTerm();
+            const otherTerm = backup.term?.id && backup.term.id !== term.id
+                ? `\nIt was made for ${backup.term.name || backup.term.id} and will be restored into ${term.name}.`
+                : '';
+            const exportedAt = new Date(typeof backup.exportedAt === 'string' ? backup.exportedAt : NaN);
+            const from = Number.isNaN(exportedAt.getTime()) ? '' : ` from ${exportedAt.toLocaleString()}`;
+            const message = `Restore the backup${from}?\n` +
+                `Your ${this.plans.length} plan${this.plans.length === 1 ? '' : 's'} for ${term.name} will be replaced by ` +
+                `${plans.length} plan${plans.length === 1 ? '' : 's'} from the backup.${otherTerm}`;
+            if (!confirm(message)) return;
+
+            this.applyBackup(backup, plans);
+
+            if (missing.length > 0) {
+                alert(`Backup restored. ${missing.length} course${missing.length === 1 ? ' is' : 's are'} not in the current timetable ` +
+                    `and ${missing.length === 1 ? 'is' : 'are'} listed under "What changed": ${missing.join(', ')}`);
+            }
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            alert('Could not restore backup: ' + error.message);
+        } finally {
+            this.elements.restoreBackup.value = '';
+        }
+    }
+
+    // Checks every plan against the loaded timetable. Codes are resolved the
+    // same way as share links; courses that no longer exist stay in the plan
+    // with their snapshot so the changes panel can report them.
+    readBackupPlans(rawPlans) {
+        const missing = [];
+        const plans = rawPlans
+            .filter(plan => plan && typeof plan === 'object' && Array.isArray(plan.courses))
+            .map((plan, index) => {
+                const courses = [];
+                const colors = {};
+                const snapshots = {};
+
+                plan.courses.forEach(code => {
+                    const resolved = this.resolveCourseCode(String(code));
+                    const courseCode = resolved || String(code);
+                    if (!resolved) missing.push(courseCode);
+                    if (courses.includes(courseCode)) return;
+
+                    courses.push(courseCode);
+                    const color = this.normalizeColorIndex(plan.colors?.[code]);
+                    if (color !== null) {
+                        colors[courseCode] = color;
+                    }
+                    const snapshot = plan.snapshots?.[code];
+                    if (snapshot && typeof snapshot === 'object' && Array.isArray(snapshot.sessions)) {
+                        snapshots[courseCode] = { ...snapshot, missing: false };
+                    } else if (!resolved) {
+                        // Without a snapshot the changes panel would not know the course
+                        snapshots[courseCode] = { courseName: '', classroom: '', sessions: [], missing: false };
+                    }
+                });
+
+                return {
+                    id: String(plan.id || this.createPlanId()),
+                    name: this.validator.cleanString(plan.name) || `Plan ${index + 1}`,
+                    courses,
+                    colors,
+                    events: (Array.isArray(plan.events) ? plan.events : [])
+                        .map(event => this.normalizeEvent(event))
+                        .filter(Boolean),
+                    snapshots
+                };
+            });
+
+        return { plans, missing };
+    }
+
+    applyBackup(backup, plans) {
+        const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+
+        this.plans = plans;
+        this.activePlanId = plans.some(plan => plan.id === backup.activePlanId) ? backup.activePlanId : plans[0].id;
+
+        const termSettings = backup.termSettings || {};
+        ['startDate', 'endDate', 'holidays', 'timezone'].forEach(key => {
+            if (typeof termSettings[key] === 'string') this.termSettings[key] = termSettings[key];
+        });
+
+        const gridSettings = backup.gridSettings || {};
+        this.gridSettings = {
+            view: pick(gridSettings.view, this.scheduleViews, this.gridSettings.view),
+            slotMinutes: pick(gridSettings.slotMinutes, [15, 30, 60], this.gridSettings.slotMinutes),
+            rowHeight: pick(gridSettings.rowHeight, [20, 30, 45], this.gridSettings.rowHeight)
+        };
+
+        const pdfSettings = backup.pdfSettings || {};
+        this.pdfSettings = {
+            format: pick(pdfSettings.format, ['a4', 'a3', 'letter', 'legal'], this.pdfSettings.format),
+            orientation: pick(pdfSettings.orientation, ['landscape', 'portrait'], this.pdfSettings.orientation)
+        };
+
+        this.busyCalendars = (Array.isArray(backup.busyCalendars) ? backup.busyCalendars : [])
+            .filter(calendar => calendar && Array.isArray(calendar.blocks))
+            .map(calendar => ({
+                id: String(calendar.id || this.createEventId()),
+                name: this.validator.cleanString(calendar.name) || 'Calendar',
+                visible: calendar.visible !== false,
+                blocks: calendar.blocks
+                    .map(block => this.normalizeEvent(block))
+                    .filter(Boolean)
+                    .map(({ title, day, startTime, endTime, location }) => ({ title, day, startTime, endTime, location }))
+            }));
+
+        this.applyPlan(this.getActivePlan());
+        this.saveToStorage();
+
+        this.renderTermSettings();
+        this.renderGridSettings();
+        this.renderBusyCalendars();
+        this.renderPlans();
+        this.renderChanges();
+        this.renderSelectedCourses();
+        this.renderCalendar();
+        this.renderCompare();
+        this.renderRoomView();
+    }
+
+    // Term Settings
+    updateTermSettings() {
+        this.termSettings = {
+            startDate: this.elements.termStart.value,
+            endDate: this.elements.termEnd.value,
+            holidays: this.elements.termHolidays.value,
+            timezone: this.elements.termTimezone.value.trim() || this.termSettings.timezone
+        };
+        this.saveToStorage();
+    }
+
+    renderTermSettings() {
+        this.elements.termStart.value = this.termSettings.startDate;
+        this.elements.termEnd.value = this.termSettings.endDate;
+        this.elements.termHolidays.value = this.termSettings.holidays;
+        this.elements.termTimezone.value = this.termSettings.timezone;
+    }
+
+    getTermRange() {
+        try {
+            return this.core.getTermRange(this.termSettings);
+        } catch (error) {
+            alert(error.message);
+            this.elements.termStart.closest('details').open = true;
+            return null;
+        }
     }
 
     downloadFile(blob, filename) {
@@ -555,43 +3302,126 @@ class CourseScheduleManager {
 
     // Storage Functions
     saveToStorage() {
-        const selectedCodes = Array.from(this.selectedCourses.keys());
-        const colorsData = this.courseColors;
+        // A shared link is read-only and must never overwrite the visitor's plans
+        if (this.sharedPlan) return;
+
+        const plan = this.getActivePlan();
+        if (plan) {
+            // Codes missing from the loaded timetable are kept rather than
+            // silently dropped from the plan
+            const missingCodes = plan.courses.filter(code => !this.courses.some(c => c.courseCode === code));
+            plan.courses = [...Array.from(this.selectedCourses.keys()), ...missingCodes];
+            plan.colors = { ...this.courseColors };
+            plan.events = this.personalEvents.map(event => ({ ...event }));
+            plan.snapshots = this.getPlanSnapshots(plan);
+        }
         
         try {
-            localStorage.setItem('selectedCourses', JSON.stringify(selectedCodes));
-            localStorage.setItem('courseColors', JSON.stringify(colorsData));
+            localStorage.setItem(this.getStorageKey('plans'), JSON.stringify({ activePlanId: this.activePlanId, plans: this.plans }));
+            localStorage.setItem(this.getStorageKey('termSettings'), JSON.stringify(this.termSettings));
+            localStorage.setItem('busyCalendars', JSON.stringify(this.busyCalendars));
+            localStorage.setItem('gridSettings', JSON.stringify(this.gridSettings));
+            localStorage.setItem('pdfSettings', JSON.stringify(this.pdfSettings));
         } catch (error) {
             console.warn('Could not save to localStorage:', error);
         }
     }
 
     loadFromStorage() {
+        this.plans = [];
+        this.activePlanId = null;
+        this.termSettings = this.createTermSettings();
+
         try {
-            const savedCourses = localStorage.getItem('selectedCourses');
-            const savedColors = localStorage.getItem('courseColors');
+            this.migrateUnscopedStorage();
+            const savedPlans = localStorage.getItem(this.getStorageKey('plans'));
+            const savedTermSettings = localStorage.getItem(this.getStorageKey('termSettings'));
+            const savedGridSettings = localStorage.getItem('gridSettings');
+            const savedBusyCalendars = localStorage.getItem('busyCalendars');
+            const savedPDFSettings = localStorage.getItem('pdfSettings');
             
-            if (savedCourses) {
-                const coursesCodes = JSON.parse(savedCourses);
-                coursesCodes.forEach(code => {
-                    const course = this.courses.find(c => c.courseCode === code);
-                    if (course) {
-                        this.selectedCourses.set(code, course);
-                    }
-                });
+            if (savedPlans) {
+                const plansData = JSON.parse(savedPlans);
+                this.plans = plansData.plans || [];
+                this.activePlanId = plansData.activePlanId;
+            } else if (this.activeTermId === this.defaultTermId) {
+                this.migrateSinglePlanStorage();
             }
-            
-            if (savedColors) {
-                this.courseColors = JSON.parse(savedColors);
-                this.colorIndex = Math.max(...Object.values(this.courseColors), -1) + 1;
+
+            if (savedTermSettings) {
+                this.termSettings = { ...this.termSettings, ...JSON.parse(savedTermSettings) };
+            }
+
+            if (savedGridSettings) {
+                this.gridSettings = { ...this.gridSettings, ...JSON.parse(savedGridSettings) };
+            }
+
+            if (savedBusyCalendars) {
+                this.busyCalendars = JSON.parse(savedBusyCalendars);
+            }
+
+            if (savedPDFSettings) {
+                this.pdfSettings = { ...this.pdfSettings, ...JSON.parse(savedPDFSettings) };
             }
         } catch (error) {
             console.warn('Could not load from localStorage:', error);
         }
+
+        if (this.plans.length === 0) {
+            this.plans = [{ id: this.createPlanId(), name: 'My plan', courses: [], colors: {} }];
+        }
+        if (!this.getActivePlan()) {
+            this.activePlanId = this.plans[0].id;
+        }
+        this.applyPlan(this.getActivePlan());
+    }
+
+    // Plans and term dates saved before terms existed belong to the default term
+    migrateUnscopedStorage() {
+        ['plans', 'termSettings'].forEach(name => {
+            const value = localStorage.getItem(name);
+            if (value === null) return;
+
+            const key = `${name}:${this.defaultTermId}`;
+            if (localStorage.getItem(key) === null) {
+                localStorage.setItem(key, value);
+            }
+            localStorage.removeItem(name);
+        });
+    }
+
+    // Older versions kept a single selection under 'selectedCourses' and
+    // 'courseColors'; fold it into a default plan.
+    migrateSinglePlanStorage() {
+        const savedCourses = localStorage.getItem('selectedCourses');
+        const savedColors = localStorage.getItem('courseColors');
+
+        this.plans = [{
+            id: this.createPlanId(),
+            name: 'My plan',
+            courses: savedCourses ? JSON.parse(savedCourses) : [],
+            colors: savedColors ? JSON.parse(savedColors) : {}
+        }];
+        this.activePlanId = this.plans[0].id;
+
+        if (savedCourses || savedColors) {
+            localStorage.setItem(this.getStorageKey('plans'), JSON.stringify({ activePlanId: this.activePlanId, plans: this.plans }));
+            localStorage.removeItem('selectedCourses');
+            localStorage.removeItem('courseColors');
+        }
     }
 }
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new CourseScheduleManager();
-});
\ No newline at end of file
+});
+
+// Offline support; service workers need http(s), so opening the file directly skips it
+if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+}
\ No newline at end of file
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// Timetable CLI - conflict reports and calendar files without a browser
+//
+// Usage:
+//   node cli.js <timetable.json> <course code>... [options]
+//   node cli.js <timetable.json> --batch <schedules.txt> [options]
+//
+// Options:
+//   --name <name>         schedule name, also used for the file names (default: schedule)
+//   --out <dir>           folder for <name>.json and <name>.ics (default: current folder)
+//   --term-start <date>   first day of classes, YYYY-MM-DD
+//   --term-end <date>     last day of classes, YYYY-MM-DD
+//   --timezone <zone>     IANA timezone of the times in the timetable (default: this machine's)
+//   --holidays <list>     comma separated YYYY-MM-DD dates or YYYY-MM-DD..YYYY-MM-DD ranges
+//
+// The .ics file is only written when both term dates are given. A batch file
+// lists one schedule per line as "<name>: CODE CODE ..."; blank lines and
+// lines starting with # are skipped. Codes on a line are separated by spaces,
+// or by commas when they contain spaces themselves. Names that give the same
+// file name get -2, -3, ... so no schedule overwrites another.
+//
+// Exits with 1 when any schedule has clashes or unknown course codes.
+
+const fs = require('fs');
+const path = require('path');
+const TimetableValidator = require('./validator.js');
+const ScheduleCore = require('./schedule-core.js');
+
+const validator = new TimetableValidator();
+const core = new ScheduleCore(validator);
+
+function parseArgs(argv) {
+    const options = {
+        codes: [],
+        name: 'schedule',
+        out: '.',
+        termStart: '',
+        termEnd: '',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+        holidays: ''
+    };
+    const flags = {
+        '--name': 'name',
+        '--out': 'out',
+        '--batch': 'batch',
+        '--term-start': 'termStart',
+        '--term-end': 'termEnd',
+        '--timezone': 'timezone',
+        '--holidays': 'holidays'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (flags[arg]) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options[flags[arg]] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!options.timetable) {
+            options.timetable = arg;
+        } else {
+            options.codes.push(arg);
+        }
+    }
+
+    return options;
+}
+
+function readBatch(file) {
+    return fs.readFileSync(file, 'utf8').split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, number }) => {
+            const match = /^([^:]+):(.*)$/.exec(line);
+            if (!match) throw new Error(`${file} line ${number}: expected "<name>: CODE CODE ..."`);
+            // Codes are comma separated when the line has a comma, so "CSE 232" stays whole
+            const separator = match[2].includes(',') ? ',' : /\s+/;
+            return { name: match[1].trim(), codes: match[2].split(separator).map(code => code.trim()).filter(Boolean) };
+        });
+}
+
+function describeSession(session) {
+    return `${session.courseCode} ${session.label || 'Class'} ${session.startTime}-${session.endTime}`;
+}
+
+// File names keep letters, digits, dots and dashes
+function getFileName(name) {
+    return name.trim().replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '') || 'schedule';
+}
+
+// Compared without case, since "Cohort A" and "cohort-a" share a file on some systems
+function getUniqueFileName(name, usedNames) {
+    const fileName = getFileName(name);
+    let unique = fileName;
+    for (let suffix = 2; usedNames.has(unique.toLowerCase()); suffix++) {
+        unique = `${fileName}-${suffix}`;
+    }
+    usedNames.add(unique.toLowerCase());
+    return unique;
+}
+
+function buildSchedule(courses, { name, codes }) {
+    const selected = [];
+    const unknownCodes = [];
+
+    codes.forEach(code => {
+        const courseCode = core.resolveCourseCode(courses, code);
+        const course = courses.find(candidate => candidate.courseCode === courseCode);
+        if (!course) {
+            unknownCodes.push(code);
+        } else if (!selected.includes(course)) {
+            selected.push(course);
+        }
+    });
+
+    const sessions = selected.flatMap(course => core.getCourseSessions(course));
+    const conflicts = core.detectConflictPairs(sessions);
+
+    return { name, courses: selected, sessions, unknownCodes, conflicts };
+}
+
+function printReport(schedule) {
+    const { name, courses, sessions, unknownCodes, conflicts } = schedule;
+
+    console.log(`${name}: ${courses.length} course${courses.length === 1 ? '' : 's'}, ${sessions.length} session${sessions.length === 1 ? '' : 's'}`);
+    unknownCodes.forEach(code => console.log(`  ! Unknown course code ${code}`));
+    conflicts.forEach(({ first, second, day, overlapMinutes }) => {
+        console.log(`  x ${day}: ${describeSession(first)} clashes with ${describeSession(second)} (${overlapMinutes} min)`);
+    });
+    if (conflicts.length === 0) {
+        console.log('  No clashes');
+    }
+}
+
+function writeOutputs(schedule, baseName, term) {
+    const written = [];
+
+    const json = {
+        name: schedule.name,
+        courses: schedule.courses.map(({ courseCode, courseName, classroom, sessions }) => ({ courseCode, courseName, classroom, sessions })),
+        unknownCodes: schedule.unknownCodes,
+        conflicts: schedule.conflicts.map(({ first, second, day, start, end, overlapMinutes }) => ({
+            day,
+            startTime: core.minutesToTime(start),
+            endTime: core.minutesToTime(end),
+            overlapMinutes,
+            courses: [first.courseCode, second.courseCode]
+        }))
+    };
+    fs.writeFileSync(`${baseName}.json`, JSON.stringify(json, null, 2) + '\n');
+    written.push(`${baseName}.json`);
+
+    if (term) {
+        fs.writeFileSync(`${baseName}.ics`, core.buildICS(schedule.sessions, term));
+        written.push(`${baseName}.ics`);
+    }
+
+    console.log(`  Wrote ${written.join(', ')}`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.timetable) {
+        console.log('Usage: node cli.js <timetable.json> <course code>... [--name <name>] [--out <dir>]');
+        console.log('       node cli.js <timetable.json> --batch <schedules.txt> [--out <dir>]');
+        console.log('       [--term-start YYYY-MM-DD --term-end YYYY-MM-DD] [--timezone <zone>] [--holidays <list>]');
+        return options.help ? 0 : 2;
+    }
+
+    // Same file layout the page loads: { "timetable": [course, ...] }
+    const data = JSON.parse(fs.readFileSync(options.timetable, 'utf8'));
+    const { courses, problems } = validator.validate(data.timetable);
+    const errors = problems.filter(problem => problem.severity === 'error');
+    if (courses.length === 0) {
+        throw new Error(`${options.timetable} has no usable courses${errors.length > 0 ? `: ${errors[0].where} ${errors[0].message}` : ''}`);
+    }
+    if (errors.length > 0) {
+        console.warn(`${options.timetable}: ${errors.length} entr${errors.length === 1 ? 'y' : 'ies'} left out, e.g. ${errors[0].where}: ${errors[0].message}`);
+    }
+
+    const schedules = options.batch
+        ? readBatch(options.batch)
+        : [{ name: options.name, codes: options.codes }];
+    if (schedules.every(schedule => schedule.codes.length === 0)) {
+        throw new Error('No course codes given');
+    }
+
+    let term = null;
+    if (options.termStart || options.termEnd) {
+        term = core.getTermRange({
+            startDate: options.termStart,
+            endDate: options.termEnd,
+            holidays: options.holidays,
+            timezone: options.timezone
+        });
+    } else {
+        console.log('No term dates given, so no .ics files are written (see --term-start and --term-end)');
+    }
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    let failed = false;
+    const usedNames = new Set();
+    schedules.forEach(entry => {
+        const schedule = buildSchedule(courses, entry);
+        printReport(schedule);
+        writeOutputs(schedule, path.join(options.out, getUniqueFileName(schedule.name, usedNames)), term);
+        failed = failed || schedule.conflicts.length > 0 || schedule.unknownCodes.length > 0;
+    });
+
+    return failed ? 1 : 0;
+}
+
+// Run from the command line; the tests require() the helpers instead
+if (require.main === module) {
+    try {
+        process.exitCode = main();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { readBatch, getFileName, getUniqueFileName, buildSchedule };
@@ -0,0 +1,345 @@
+// Timetable Editor - authoring tool that produces merged_timetable.json
+
+class TimetableEditor {
+    constructor(manager) {
+        this.manager = manager;
+        this.importer = new TimetableImporter();
+        this.validator = new TimetableValidator();
+        this.courses = [];
+        this.days = this.validator.days;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.loadCourses(manager.courses);
+    }
+
+    initializeElements() {
+        this.elements = {
+            viewerMode: document.getElementById('viewerMode'),
+            editorMode: document.getElementById('editorMode'),
+            modeViewer: document.getElementById('modeViewer'),
+            modeEditor: document.getElementById('modeEditor'),
+            filterInput: document.getElementById('editorFilter'),
+            importInput: document.getElementById('editorImport'),
+            csvCourses: document.getElementById('csvCourses'),
+            csvSlots: document.getElementById('csvSlots'),
+            csvConvert: document.getElementById('csvConvert'),
+            addCourse: document.getElementById('editorAddCourse'),
+            validate: document.getElementById('editorValidate'),
+            apply: document.getElementById('editorApply'),
+            download: document.getElementById('editorDownload'),
+            problems: document.getElementById('editorProblems'),
+            coursesList: document.getElementById('editorCourses')
+        };
+    }
+
+    bindEvents() {
+        // Mode switch
+        this.elements.modeViewer.addEventListener('click', () => this.hide());
+        this.elements.modeEditor.addEventListener('click', () => this.show());
+
+        // Toolbar
+        this.elements.importInput.addEventListener('change', (e) => this.importFile(e.target.files[0]));
+        this.elements.csvConvert.addEventListener('click', () => this.importCSV());
+        this.elements.addCourse.addEventListener('click', () => this.addCourse());
+        this.elements.validate.addEventListener('click', () => this.renderProblems(this.validate()));
+        this.elements.apply.addEventListener('click', () => this.applyToViewer());
+        this.elements.download.addEventListener('click', () => this.downloadTimetable());
+        this.elements.filterInput.addEventListener('input', () => this.applyFilter());
+
+        // Field edits update the model in place so inputs keep their focus
+        this.elements.coursesList.addEventListener('input', (e) => this.handleFieldInput(e));
+        this.elements.coursesList.addEventListener('click', (e) => this.handleAction(e));
+    }
+
+    show() {
+        this.elements.viewerMode.classList.add('hidden');
+        this.elements.editorMode.classList.remove('hidden');
+        this.elements.modeEditor.classList.add('active');
+        this.elements.modeViewer.classList.remove('active');
+        this.renderCourses();
+    }
+
+    hide() {
+        this.elements.editorMode.classList.add('hidden');
+        this.elements.viewerMode.classList.remove('hidden');
+        this.elements.modeViewer.classList.add('active');
+        this.elements.modeEditor.classList.remove('active');
+    }
+
+    loadCourses(courses) {
+        // Work on a copy so edits never leak into the viewer until applied
+        this.courses = (courses || []).map(course => ({
+            courseCode: course.courseCode || '',
+            courseName: course.courseName || '',
+            classroom: course.classroom || '',
+            sessions: (course.sessions || []).map(session => ({
+                label: session.label || '',
+                slotCode: session.slotCode || '',
+                day: session.day || '',
+                startTime: session.startTime || '',
+                endTime: session.endTime || ''
+            }))
+        }));
+    }
+
+    async importFile(file) {
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const timetable = Array.isArray(data) ? data : data.timetable;
+            if (!Array.isArray(timetable)) {
+                throw new Error('Expected a { "timetable": [...] } object');
+            }
+
+            this.loadCourses(timetable);
+            this.renderCourses();
+            this.renderProblems(this.validate());
+        } catch (error) {
+            console.error('Error importing timetable:', error);
+            alert('Could not import timetable: ' + error.message);
+        } finally {
+            this.elements.importInput.value = '';
+        }
+    }
+
+    async importCSV() {
+        const coursesFile = this.elements.csvCourses.files[0];
+        const slotsFile = this.elements.csvSlots.files[0];
+
+        if (!coursesFile || !slotsFile) {
+            alert('Please choose both the courses CSV and the slot definition CSV');
+            return;
+        }
+        if (this.courses.length > 0 && !confirm('Replace the courses in the editor with the imported ones?')) {
+            return;
+        }
+
+        try {
+            const { timetable, problems } = this.importer.convert(
+                await coursesFile.text(),
+                await slotsFile.text()
+            );
+
+            this.loadCourses(timetable);
+            this.elements.filterInput.value = '';
+            this.renderCourses();
+            this.renderProblems(this.validate(), problems);
+        } catch (error) {
+            console.error('Error importing CSV:', error);
+            alert('Could not import CSV: ' + error.message);
+        }
+    }
+
+    addCourse() {
+        this.courses.unshift({
+            courseCode: '',
+            courseName: '',
+            classroom: '',
+            sessions: [this.createSession()]
+        });
+        this.elements.filterInput.value = '';
+        this.renderCourses();
+        this.elements.coursesList.querySelector('input')?.focus();
+    }
+
+    createSession() {
+        return { label: 'Lecture', slotCode: '', day: 'Mon', startTime: '09:30', endTime: '11:00' };
+    }
+
+    handleFieldInput(e) {
+        const field = e.target.dataset.field;
+        if (!field) return;
+
+        const course = this.courses[Number(e.target.closest('[data-course-index]').dataset.courseIndex)];
+        const row = e.target.closest('[data-session-index]');
+        const target = row ? course.sessions[Number(row.dataset.sessionIndex)] : course;
+        target[field] = e.target.value;
+    }
+
+    handleAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const courseIndex = Number(button.closest('[data-course-index]').dataset.courseIndex);
+        const course = this.courses[courseIndex];
+        const row = button.closest('[data-session-index]');
+
+        switch (button.dataset.action) {
+            case 'remove-course':
+                if (!confirm(`Delete ${course.courseCode || 'this course'}?`)) return;
+                this.courses.splice(courseIndex, 1);
+                break;
+            case 'add-session':
+                course.sessions.push(this.createSession());
+                break;
+            case 'remove-session':
+                course.sessions.splice(Number(row.dataset.sessionIndex), 1);
+                break;
+            default:
+                return;
+        }
+
+        this.renderCourses();
+    }
+
+    renderCourses() {
+        const list = this.elements.coursesList;
+        list.innerHTML = '';
+
+        if (this.courses.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>No courses yet. Import a timetable or add a course to get started.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.courses.forEach((course, courseIndex) => {
+            const card = document.createElement('div');
+            card.className = 'editor-course';
+            card.dataset.courseIndex = courseIndex;
+            card.innerHTML = `
+                <div class="editor-course__fields">
+                    <input type="text" class="form-control" data-field="courseCode" placeholder="Course code" aria-label="Course code" value="${this.manager.escapeHTML(course.courseCode)}">
+                    <input type="text" class="form-control" data-field="courseName" placeholder="Course name" aria-label="Course name" value="${this.manager.escapeHTML(course.courseName)}">
+                    <input type="text" class="form-control" data-field="classroom" placeholder="Classroom" aria-label="Classroom" value="${this.manager.escapeHTML(course.classroom)}">
+                    <button class="btn btn--sm btn--outline" type="button" data-action="remove-course">Delete course</button>
+                </div>
+                <table class="editor-sessions">
+                    <thead>
+                        <tr><th>Label</th><th>Slot</th><th>Day</th><th>Start</th><th>End</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${course.sessions.map((session, sessionIndex) => this.renderSessionRow(session, sessionIndex)).join('')}
+                    </tbody>
+                </table>
+                <button class="btn btn--sm btn--secondary" type="button" data-action="add-session">Add session</button>
+            `;
+            list.appendChild(card);
+        });
+
+        this.applyFilter();
+    }
+
+    renderSessionRow(session, sessionIndex) {
+        const dayOptions = this.days.map(day =>
+            `<option value="${day}" ${session.day === day ? 'selected' : ''}>${day}</option>`
+        ).join('');
+
+        return `
+            <tr data-session-index="${sessionIndex}">
+                <td><input type="text" class="form-control" data-field="label" aria-label="Session label" value="${this.manager.escapeHTML(session.label)}"></td>
+                <td><input type="text" class="form-control" data-field="slotCode" aria-label="Slot code" placeholder="Slot 1" value="${this.manager.escapeHTML(session.slotCode)}"></td>
+                <td>
+                    <select class="form-control" data-field="day" aria-label="Day">
+                        ${this.days.includes(session.day) ? '' : `<option value="${this.manager.escapeHTML(session.day)}" selected>${this.manager.escapeHTML(session.day) || '—'}</option>`}
+                        ${dayOptions}
+                    </select>
+                </td>
+                <td><input type="time" class="form-control" data-field="startTime" aria-label="Start time" value="${this.manager.escapeHTML(session.startTime)}"></td>
+                <td><input type="time" class="form-control" data-field="endTime" aria-label="End time" value="${this.manager.escapeHTML(session.endTime)}"></td>
+                <td><button class="course-chip__remove" type="button" data-action="remove-session" aria-label="Remove session">×</button></td>
+            </tr>
+        `;
+    }
+
+    applyFilter() {
+        const query = this.elements.filterInput.value.toLowerCase().trim();
+
+        this.elements.coursesList.querySelectorAll('.editor-course').forEach(card => {
+            const course = this.courses[Number(card.dataset.courseIndex)];
+            const matches = query === '' ||
+                course.courseCode.toLowerCase().includes(query) ||
+                course.courseName.toLowerCase().includes(query);
+            card.classList.toggle('hidden', !matches);
+        });
+    }
+
+    validate() {
+        const { problems } = this.validator.validate(this.courses);
+        const describe = ({ where, message }) => `${where}: ${message}`;
+
+        return {
+            errors: problems.filter(problem => problem.severity === 'error').map(describe),
+            warnings: problems.filter(problem => problem.severity === 'warning').map(describe)
+        };
+    }
+
+    renderProblems({ errors, warnings }, importReport = []) {
+        const panel = this.elements.problems;
+        panel.classList.remove('hidden');
+
+        const report = importReport.length === 0 ? '' : `
+            <div class="status status--info">Import report: ${importReport.length} item${importReport.length === 1 ? '' : 's'} need attention</div>
+            <ul class="editor-problems__list">
+                ${importReport.map(({ file, line, message }) =>
+                    `<li>${file}${line ? ` line ${line}` : ''}: ${this.manager.escapeHTML(message)}</li>`
+                ).join('')}
+            </ul>
+        `;
+
+        if (errors.length === 0 && warnings.length === 0) {
+            panel.innerHTML = report +
+                `<div class="status status--success">No problems found in ${this.courses.length} courses.</div>`;
+            return;
+        }
+
+        panel.innerHTML = report + `
+            ${errors.length ? `<div class="status status--error">${errors.length} error${errors.length === 1 ? '' : 's'} must be fixed before export</div>` : ''}
+            ${warnings.length ? `<div class="status status--warning">${warnings.length} warning${warnings.length === 1 ? '' : 's'}</div>` : ''}
+            <ul class="editor-problems__list">
+                ${errors.map(problem => `<li class="editor-problems__error">${this.manager.escapeHTML(problem)}</li>`).join('')}
+                ${warnings.map(problem => `<li>${this.manager.escapeHTML(problem)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    // Builds the exact structure initializeData() reads
+    buildTimetableFile() {
+        const timetable = this.validator.validate(this.courses).courses.map(course => ({
+            courseCode: course.courseCode,
+            courseName: course.courseName,
+            classroom: course.classroom,
+            sessions: course.sessions.map(({ label, slotCode, day, startTime, endTime }) => ({
+                label, slotCode, day, startTime, endTime
+            }))
+        }));
+
+        return {
+            timetable,
+            generatedAt: new Date().toISOString(),
+            totalCourses: timetable.length,
+            totalSessions: timetable.reduce((total, course) => total + course.sessions.length, 0)
+        };
+    }
+
+    ensureValid() {
+        const problems = this.validate();
+        this.renderProblems(problems);
+
+        if (problems.errors.length > 0) {
+            alert('Please fix the errors listed above first');
+            return false;
+        }
+        return true;
+    }
+
+    applyToViewer() {
+        if (!this.ensureValid()) return;
+
+        this.manager.setCourses(this.buildTimetableFile().timetable);
+        this.hide();
+    }
+
+    downloadTimetable() {
+        if (!this.ensureValid()) return;
+
+        const json = JSON.stringify(this.buildTimetableFile(), null, 2);
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
+        const fileName = this.manager.getActiveTerm()?.file.split('/').pop() || 'merged_timetable.json';
+        this.manager.downloadFile(blob, fileName);
+    }
+}
@@ -0,0 +1,285 @@
+// ICS Parser - reads an iCalendar (.ics) file and projects its events onto a
+// typical week as busy blocks: { title, day, startTime, endTime, location }
+//
+// Only events that repeat every week are part of a typical week:
+//   RRULE FREQ=WEEKLY  - on its BYDAY days, or the weekday of DTSTART
+//   RRULE FREQ=DAILY   - on its BYDAY days, or every day
+// Rules with an INTERVAL above 1 (every other week and so on) are not.
+// Events that run past midnight are split, the rest going on the next day.
+// One-off, all-day, cancelled, free (TRANSP:TRANSPARENT) and ended events are
+// left out and reported in `skipped`, as are changes to a single occurrence
+// (RECURRENCE-ID). A series has ended once its UNTIL, or the last occurrence
+// its COUNT allows after EXDATE, is in the past.
+
+class ICSParser {
+    constructor() {
+        this.validator = new TimetableValidator();
+        this.core = new ScheduleCore(this.validator);
+        this.icsDays = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+        this.weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    }
+
+    // UTC times (ending in Z) and times with a TZID are converted to
+    // wall-clock time in `timezone`; floating times are taken as written.
+    parse(text, { timezone = 'UTC', now = Date.now() } = {}) {
+        const blocks = [];
+        const skipped = [];
+        const seen = new Set();
+
+        const events = this.readEvents(this.unfoldLines(text || ''));
+        if (events.length === 0) {
+            throw new Error('No events found. Is this an .ics calendar file?');
+        }
+
+        events.forEach(event => {
+            const title = event.SUMMARY?.value || 'Busy';
+            const skip = (reason) => skipped.push({ title, reason });
+
+            if ((event.STATUS?.value || '').toUpperCase() === 'CANCELLED') return skip('cancelled');
+            if ((event.TRANSP?.value || '').toUpperCase() === 'TRANSPARENT') return skip('marked as free');
+            if (event['RECURRENCE-ID']) return skip('changes a single occurrence');
+            if (!event.DTSTART) return skip('no start time');
+            const tzid = event.DTSTART.params.TZID;
+            if (tzid && !this.core.isValidTimezone(tzid)) return skip(`unknown timezone ${tzid}`);
+
+            const start = this.readDateTime(event.DTSTART, timezone);
+            if (!start) return skip('unreadable start time');
+            if (start.allDay) return skip('all-day event');
+
+            const rule = this.readRule(event.RRULE?.value);
+            if (!rule || !['WEEKLY', 'DAILY'].includes(rule.FREQ)) return skip('does not repeat every week');
+            if (Number(rule.INTERVAL) > 1) return skip('repeats less often than weekly');
+            if (rule.UNTIL) {
+                const until = this.readDateTime({ value: rule.UNTIL, params: {} }, timezone);
+                if (until && until.utc < now) return skip('recurrence has ended');
+            }
+
+            const durationMinutes = this.readDurationMinutes(event, start, timezone);
+            if (durationMinutes === null || durationMinutes <= 0) return skip('no end time');
+            if (rule.COUNT && this.getLastEnd(event, rule, start, durationMinutes, timezone) < now) return skip('recurrence has ended');
+
+            if (durationMinutes >= 24 * 60) return skip('lasts a day or longer');
+
+            // Block times run up to 23:59, so the part before midnight ends there
+            const startMinutes = start.hours * 60 + start.minutes;
+            const endMinutes = startMinutes + durationMinutes;
+            const parts = [
+                { dayShift: 0, startMinutes, endMinutes: Math.min(endMinutes, 23 * 60 + 59) },
+                { dayShift: 1, startMinutes: 0, endMinutes: endMinutes - 24 * 60 }
+            ].filter(part => part.endMinutes > part.startMinutes);
+            if (parts.length === 0) return skip('ends within a minute of midnight');
+
+            this.getRuleDays(rule, start).flatMap(day => parts.map(part => ({ ...part, day }))).forEach(part => {
+                const block = {
+                    title,
+                    day: this.weekdays[(this.weekdays.indexOf(part.day) + part.dayShift) % 7],
+                    startTime: this.formatMinutes(part.startMinutes),
+                    endTime: this.formatMinutes(part.endMinutes),
+                    location: event.LOCATION?.value || ''
+                };
+                const key = `${block.title}|${block.day}|${block.startTime}|${block.endTime}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    blocks.push(block);
+                }
+            });
+        });
+
+        return { blocks, skipped };
+    }
+
+    // Long lines are folded with CRLF followed by a space or tab (RFC 5545 3.1)
+    unfoldLines(text) {
+        return text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    }
+
+    // Collects the properties of every VEVENT as NAME -> { value, params }
+    readEvents(lines) {
+        const events = [];
+        let current = null;
+        let nested = 0;
+
+        lines.forEach(line => {
+            const property = this.readProperty(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+                current = {};
+                nested = 0;
+            } else if (current && property.name === 'BEGIN') {
+                // VALARM and other components inside the event are ignored
+                nested++;
+            } else if (current && property.name === 'END') {
+                if (nested > 0) {
+                    nested--;
+                } else if (property.value.toUpperCase() === 'VEVENT') {
+                    events.push(current);
+                    current = null;
+                }
+            } else if (current && nested === 0 && property.name === 'EXDATE') {
+                // The only property that may repeat; each line can also list several dates
+                current.EXDATE = [...(current.EXDATE || []), { value: property.value, params: property.params }];
+            } else if (current && nested === 0 && !current[property.name]) {
+                current[property.name] = { value: this.unescapeText(property.value), params: property.params };
+            }
+        });
+
+        return events;
+    }
+
+    // NAME;PARAM=value;PARAM="quoted":value
+    readProperty(line) {
+        const match = /^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+        if (!match) return null;
+
+        const params = {};
+        (match[2].match(/;[^:;]+=(?:"[^"]*"|[^:;]*)/g) || []).forEach(param => {
+            const [key, ...rest] = param.slice(1).split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+    }
+
+    // Returns the wall-clock weekday and time of a DATE or DATE-TIME value in
+    // `timezone`, plus its UTC instant. `wallClock` and `sourceDay` keep the
+    // date and time as written in the value's own zone, which is what RRULE
+    // parts refer to. Floating times are read as times in `timezone`.
+    readDateTime({ value, params }, timezone) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+        if (!match) return null;
+
+        const [, year, month, date, hours, minutes, , utc] = match;
+        const midnight = Date.UTC(year, month - 1, date);
+        if (hours === undefined || params.VALUE === 'DATE') {
+            return { allDay: true, utc: midnight };
+        }
+
+        let zone = timezone;
+        if (utc) {
+            zone = 'UTC';
+        } else if (params.TZID && this.core.isValidTimezone(params.TZID)) {
+            zone = params.TZID;
+        }
+        const wallClock = { date: midnight, minutes: Number(hours) * 60 + Number(minutes), zone };
+        const sourceDay = this.weekdays[new Date(midnight).getUTCDay()];
+        const instant = this.core.zonedTimeToUTC(zone, new Date(midnight), wallClock.minutes);
+
+        if (zone !== timezone) {
+            return { allDay: false, utc: instant, wallClock, sourceDay, ...this.getZonedParts(instant, timezone) };
+        }
+
+        return {
+            allDay: false,
+            utc: instant,
+            wallClock,
+            sourceDay,
+            day: sourceDay,
+            hours: Number(hours),
+            minutes: Number(minutes)
+        };
+    }
+
+    getZonedParts(instant, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        return { day: parts.weekday, hours: Number(parts.hour), minutes: Number(parts.minute) };
+    }
+
+    readRule(value) {
+        if (!value) return null;
+
+        const rule = {};
+        value.split(';').forEach(part => {
+            const [key, ...rest] = part.split('=');
+            rule[key.toUpperCase()] = rest.join('=').toUpperCase();
+        });
+        return rule;
+    }
+
+    readDurationMinutes(event, start, timezone) {
+        if (event.DTEND) {
+            const end = this.readDateTime(event.DTEND, timezone);
+            if (!end || end.allDay) return null;
+
+            const dayShift = (this.weekdays.indexOf(end.day) - this.weekdays.indexOf(start.day) + 7) % 7;
+            return dayShift * 24 * 60 + (end.hours * 60 + end.minutes) - (start.hours * 60 + start.minutes);
+        }
+
+        // DURATION such as PT1H30M or P1D
+        const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(event.DURATION?.value || '');
+        if (!match) return null;
+
+        const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+        return ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+    }
+
+    // BYDAY values refer to the event's own weekdays; when the start lands on
+    // another day in `timezone`, the listed days move with it.
+    getRuleDays(rule, start) {
+        const byDay = this.getByDay(rule);
+        if (byDay.length === 0) {
+            return rule.FREQ === 'DAILY' ? this.validator.days : [start.day];
+        }
+
+        const shift = (this.weekdays.indexOf(start.day) - this.weekdays.indexOf(start.sourceDay) + 7) % 7;
+        return byDay.map(day => this.weekdays[(this.weekdays.indexOf(day) + shift) % 7]);
+    }
+
+    getByDay(rule) {
+        return (rule.BYDAY || '').split(',')
+            .map(value => this.icsDays[value.replace(/^[+-]?\d+/, '')])
+            .filter(Boolean);
+    }
+
+    // End of the last occurrence a COUNT rule leaves once EXDATE is applied.
+    // Occurrences are walked day by day in the event's own zone, so they keep
+    // their wall-clock time across DST changes.
+    getLastEnd(event, rule, start, durationMinutes, timezone) {
+        const day = 24 * 60 * 60 * 1000;
+        const count = Number(rule.COUNT);
+        const byDay = this.getByDay(rule);
+        const startIndex = this.weekdays.indexOf(start.sourceDay);
+        if (!(count > 0)) return Infinity;
+
+        const excluded = (event.EXDATE || []).flatMap(({ value, params }) => value.split(',')
+            .map(part => this.readDateTime({ value: part, params }, timezone))
+            .filter(Boolean));
+        const isExcluded = (date, instant) => excluded.some(exdate => exdate.utc === (exdate.allDay ? date : instant));
+
+        let found = 0;
+        let lastStart = null;
+        for (let offset = 0; found < count && offset < (count + 1) * 7; offset++) {
+            const weekday = this.weekdays[(startIndex + offset) % 7];
+            const onDay = byDay.length > 0 ? byDay.includes(weekday) : rule.FREQ === 'DAILY' || offset % 7 === 0;
+            if (!onDay) continue;
+
+            // Excluded dates still count towards COUNT (RFC 5545 3.8.5.1)
+            found++;
+            const date = start.wallClock.date + offset * day;
+            const instant = this.core.zonedTimeToUTC(start.wallClock.zone, new Date(date), start.wallClock.minutes);
+            if (!isExcluded(date, instant)) {
+                lastStart = instant;
+            }
+        }
+
+        return lastStart === null ? -Infinity : lastStart + durationMinutes * 60 * 1000;
+    }
+
+    formatMinutes(totalMinutes) {
+        return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,243 @@
+// Timetable Importer - converts the registrar's CSV exports into the
+// { timetable: [...] } structure read by initializeData()
+//
+// courses.csv: one row per course component
+//   courseCode, courseName, classroom, label, slotCode[, day, startTime, endTime]
+//   A row with a slotCode expands into every time of that slot; a row without
+//   one (e.g. a tutorial) uses its own day/startTime/endTime. Several slots can
+//   be listed in one cell separated by ";".
+//
+// slots.csv: one row per slot meeting
+//   slotCode, day, startTime, endTime
+
+class TimetableImporter {
+    constructor() {
+        this.validator = new TimetableValidator();
+        this.courseColumns = {
+            courseCode: ['coursecode', 'code', 'course'],
+            courseName: ['coursename', 'name', 'title', 'coursetitle'],
+            classroom: ['classroom', 'room', 'venue'],
+            label: ['label', 'type', 'component', 'sessiontype'],
+            slotCode: ['slotcode', 'slot', 'slots'],
+            day: ['day'],
+            startTime: ['starttime', 'start', 'from'],
+            endTime: ['endtime', 'end', 'to']
+        };
+        this.slotColumns = {
+            slotCode: ['slotcode', 'slot'],
+            day: ['day'],
+            startTime: ['starttime', 'start', 'from'],
+            endTime: ['endtime', 'end', 'to']
+        };
+    }
+
+    convert(coursesText, slotsText) {
+        const problems = [];
+        const slots = this.parseSlots(slotsText, problems);
+        const courses = this.readTable(coursesText, this.courseColumns, ['courseCode'], 'courses.csv', problems);
+        const timetable = [];
+        const byCode = new Map();
+
+        courses.forEach(({ line, values }) => {
+            const report = (message) => problems.push({ file: 'courses.csv', line, message });
+            const courseCode = values.courseCode;
+
+            if (!courseCode) {
+                report('missing course code');
+                return;
+            }
+
+            let course = byCode.get(courseCode);
+            if (!course) {
+                course = {
+                    courseCode,
+                    courseName: values.courseName,
+                    classroom: values.classroom,
+                    sessions: []
+                };
+                byCode.set(courseCode, course);
+                timetable.push(course);
+            } else {
+                course.courseName = course.courseName || values.courseName;
+                course.classroom = course.classroom || values.classroom;
+            }
+
+            if (!values.label) {
+                report(`${courseCode}: blank session label`);
+            }
+
+            const slotCodes = values.slotCode.split(';').map(code => code.trim()).filter(Boolean);
+            if (slotCodes.length > 0) {
+                slotCodes.forEach(slotCode => {
+                    const slot = slots.get(this.normalizeSlotKey(slotCode));
+                    if (!slot) {
+                        report(`${courseCode}: unknown slot "${slotCode}"`);
+                        return;
+                    }
+                    slot.times.forEach(time => {
+                        course.sessions.push({ label: values.label, slotCode: slot.slotCode, ...time });
+                    });
+                });
+                return;
+            }
+
+            const session = this.readSessionTime(values, report, courseCode);
+            if (session) {
+                course.sessions.push({ label: values.label, slotCode: null, ...session });
+            }
+        });
+
+        timetable.forEach(course => {
+            if (!course.courseName) {
+                problems.push({ file: 'courses.csv', line: null, message: `${course.courseCode}: no course name in any row` });
+            }
+            if (course.sessions.length === 0) {
+                problems.push({ file: 'courses.csv', line: null, message: `${course.courseCode}: no sessions could be mapped` });
+            }
+        });
+
+        return { timetable, problems };
+    }
+
+    parseSlots(text, problems) {
+        const slots = new Map();
+
+        this.readTable(text, this.slotColumns, Object.keys(this.slotColumns), 'slots.csv', problems).forEach(({ line, values }) => {
+            const report = (message) => problems.push({ file: 'slots.csv', line, message });
+
+            if (!values.slotCode) {
+                report('missing slot code');
+                return;
+            }
+
+            const time = this.readSessionTime(values, report, values.slotCode);
+            if (!time) return;
+
+            const key = this.normalizeSlotKey(values.slotCode);
+            if (!slots.has(key)) {
+                slots.set(key, { slotCode: values.slotCode, times: [] });
+            }
+            slots.get(key).times.push(time);
+        });
+
+        return slots;
+    }
+
+    readSessionTime(values, report, owner) {
+        const day = this.validator.normalizeDay(values.day);
+        const startTime = this.validator.normalizeTime(values.startTime);
+        const endTime = this.validator.normalizeTime(values.endTime);
+
+        if (!values.day && !values.startTime && !values.endTime) {
+            report(`${owner}: no slot and no day/time given`);
+            return null;
+        }
+        if (!day) {
+            report(`${owner}: unknown day "${values.day}"`);
+            return null;
+        }
+        if (!startTime || !endTime) {
+            report(`${owner}: unreadable time "${values.startTime}" - "${values.endTime}"`);
+            return null;
+        }
+        if (endTime <= startTime) {
+            report(`${owner}: end time ${endTime} is not after start time ${startTime}`);
+            return null;
+        }
+
+        return { day, startTime, endTime };
+    }
+
+    // Maps each data row onto the known column names using the header row
+    readTable(text, columns, required, file, problems) {
+        // Blank records are dropped first, so one above the header row is not taken for it
+        const [header, ...records] = this.parseCSV(text || '')
+            .filter(record => record.values.some(value => value.trim() !== ''));
+        if (!header) {
+            problems.push({ file, line: null, message: 'file is empty' });
+            return [];
+        }
+
+        const headerKeys = header.values.map(name => name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        const indexes = {};
+        Object.entries(columns).forEach(([field, aliases]) => {
+            indexes[field] = headerKeys.findIndex(key => aliases.includes(key));
+        });
+
+        const missing = required.filter(field => indexes[field] === -1);
+        if (missing.length > 0) {
+            problems.push({ file, line: header.line, message: `missing column(s): ${missing.join(', ')}` });
+            return [];
+        }
+
+        return records.map(record => {
+            const values = {};
+            Object.keys(columns).forEach(field => {
+                values[field] = indexes[field] === -1 ? '' : (record.values[indexes[field]] || '').trim();
+            });
+            return { line: record.line, values };
+        });
+    }
+
+    // RFC 4180 style parser: quoted fields may contain commas, quotes ("")
+    // and line breaks. Each record keeps the line number it started on.
+    parseCSV(text) {
+        const records = [];
+        let values = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            values.push(field);
+            records.push({ line: recordLine, values });
+            values = [];
+            field = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                values.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || values.length > 0) {
+            endRecord();
+        }
+
+        // Strip a UTF-8 byte order mark left by spreadsheet exports
+        if (records.length > 0) {
+            records[0].values[0] = records[0].values[0].replace(/^\uFEFF/, '');
+        }
+
+        return records;
+    }
+
+    // "Slot 1", "slot1" and "1" all refer to the same slot
+    normalizeSlotKey(value) {
+        return value.toLowerCase().replace(/\s+/g, '').replace(/^slot/, '');
+    }
+}
@@ -0,0 +1,372 @@
+// Schedule Core - the DOM-free part of the scheduler: time math, conflict
+// detection, term dates and ICS building
+//
+// The page uses it through CourseScheduleManager; cli.js loads the same file
+// in Node. Nothing in here may touch the DOM, localStorage or alert().
+//
+// Sessions have the shape produced by getCourseSessions():
+//   { label, slotCode, day, startTime, endTime, courseCode, courseName, classroom }
+// Personal events add eventId and are exported as such.
+
+class ScheduleCore {
+    constructor(validator = new TimetableValidator()) {
+        this.validator = validator;
+        this.timezoneFormatters = {};
+    }
+
+    // Time Functions
+    timeToMinutes(timeString) {
+        const [hours, minutes] = timeString.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    minutesToTime(totalMinutes) {
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    }
+
+    // Course Functions
+    getCourseSessions(course) {
+        return course.sessions.map(session => ({
+            ...session,
+            courseCode: course.courseCode,
+            courseName: course.courseName,
+            classroom: course.classroom
+        }));
+    }
+
+    // Accepts the exact course code, or any spelling of one of its aliases
+    // ("cse 232" finds "CSE232/ECE332")
+    resolveCourseCode(courses, code) {
+        if (courses.some(course => course.courseCode === code)) return code;
+
+        const normalized = this.validator.normalizeCode(code);
+        const match = courses.find(course =>
+            this.validator.normalizeCode(course.courseCode) === normalized || course.aliases.includes(normalized)
+        );
+        return match ? match.courseCode : null;
+    }
+
+    // Conflict Functions
+    detectConflicts(sessions) {
+        return this.flattenConflictPairs(this.detectConflictPairs(sessions));
+    }
+
+    detectConflictPairs(sessions) {
+        const pairs = [];
+
+        for (let i = 0; i < sessions.length; i++) {
+            for (let j = i + 1; j < sessions.length; j++) {
+                const session1 = sessions[i];
+                const session2 = sessions[j];
+
+                if (this.sessionsOverlap(session1, session2)) {
+                    const start = Math.max(this.timeToMinutes(session1.startTime), this.timeToMinutes(session2.startTime));
+                    const end = Math.min(this.timeToMinutes(session1.endTime), this.timeToMinutes(session2.endTime));
+                    pairs.push({ first: session1, second: session2, day: session1.day, start, end, overlapMinutes: end - start });
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    flattenConflictPairs(pairs) {
+        return [...new Set(pairs.flatMap(pair => [pair.first, pair.second]))];
+    }
+
+    sessionsOverlap(session1, session2) {
+        if (session1.day !== session2.day) return false;
+
+        const start1 = this.timeToMinutes(session1.startTime);
+        const end1 = this.timeToMinutes(session1.endTime);
+        const start2 = this.timeToMinutes(session2.startTime);
+        const end2 = this.timeToMinutes(session2.endTime);
+
+        return start1 < end2 && end1 > start2;
+    }
+
+    // Term Functions
+    // Reads { startDate, endDate, holidays, timezone } as entered by the user
+    // and throws an Error whose message can be shown as is.
+    getTermRange({ startDate, endDate, holidays, timezone }) {
+        const start = this.parseDateInput(startDate);
+        const end = this.parseDateInput(endDate);
+
+        if (!start || !end) {
+            throw new Error('Please set the term start and end dates before exporting the calendar');
+        }
+        if (end < start) {
+            throw new Error('The term end date must not be before the term start date');
+        }
+        if (!this.isValidTimezone(timezone)) {
+            throw new Error(`Unknown timezone "${timezone}". Use an IANA name such as Asia/Kolkata.`);
+        }
+
+        const { dates, invalid } = this.parseHolidays(holidays);
+        if (invalid.length > 0) {
+            throw new Error(`Could not read these holiday entries: ${invalid.join(', ')}\nUse YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD.`);
+        }
+
+        return { startDate: start, endDate: end, holidays: dates, timezone };
+    }
+
+    // Calendar dates are kept as UTC-midnight Date objects so that day
+    // arithmetic is never shifted by the machine's own timezone.
+    parseDateInput(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value || '').trim());
+        if (!match) return null;
+
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCDate() === Number(match[3]) ? date : null;
+    }
+
+    parseHolidays(text) {
+        const dates = new Set();
+        const invalid = [];
+
+        (text || '').split(/[\n,]+/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+            const [from, to = from] = entry.split(/\s*(?:\.\.|\bto\b)\s*/);
+            const start = this.parseDateInput(from);
+            const end = this.parseDateInput(to);
+
+            if (!start || !end || end < start) {
+                invalid.push(entry);
+                return;
+            }
+            for (let date = start; date <= end; date = this.addDays(date, 1)) {
+                dates.add(this.formatICSDate(date));
+            }
+        });
+
+        return { dates, invalid };
+    }
+
+    addDays(date, days) {
+        return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+    }
+
+    getFirstSessionDate(day, termStart) {
+        const dayMap = { 'Sun': 0, 'Mon': 1, 'Tue': 2, 'Wed': 3, 'Thu': 4, 'Fri': 5, 'Sat': 6 };
+        const dayOfWeek = dayMap[day];
+        if (dayOfWeek === undefined) return null;
+
+        return this.addDays(termStart, (dayOfWeek - termStart.getUTCDay() + 7) % 7);
+    }
+
+    getSessionExdates(firstDate, termEnd, holidays) {
+        const exdates = [];
+        for (let date = firstDate; date <= termEnd; date = this.addDays(date, 7)) {
+            if (holidays.has(this.formatICSDate(date))) {
+                exdates.push(date);
+            }
+        }
+        return exdates;
+    }
+
+    // Timezone Functions
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getTimezoneOffset(timezone, utcMillis) {
+        if (!this.timezoneFormatters[timezone]) {
+            this.timezoneFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        }
+
+        const parts = {};
+        this.timezoneFormatters[timezone].formatToParts(new Date(utcMillis)).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+        // Offset in minutes east of UTC
+        return Math.round((wallClock - Math.floor(utcMillis / 1000) * 1000) / 60000);
+    }
+
+    zonedTimeToUTC(timezone, date, minutes) {
+        const wallClock = date.getTime() + minutes * 60 * 1000;
+        let utc = wallClock - this.getTimezoneOffset(timezone, wallClock) * 60 * 1000;
+        // A second pass settles times that fall next to a DST transition
+        utc = wallClock - this.getTimezoneOffset(timezone, utc) * 60 * 1000;
+        return utc;
+    }
+
+    buildVTimezone(timezone, startDate, endDate) {
+        const hour = 60 * 60 * 1000;
+        const day = 24 * hour;
+        const year = startDate.getUTCFullYear();
+        const standardOffset = Math.min(
+            this.getTimezoneOffset(timezone, Date.UTC(year, 0, 1)),
+            this.getTimezoneOffset(timezone, Date.UTC(year, 6, 1))
+        );
+
+        // Scan the term day by day, then hour by hour around any offset change
+        let offset = this.getTimezoneOffset(timezone, startDate.getTime() - day);
+        const observances = [{ start: Date.UTC(1970, 0, 1), from: offset, to: offset }];
+        for (let time = startDate.getTime(); time <= endDate.getTime() + 2 * day; time += day) {
+            if (this.getTimezoneOffset(timezone, time) === offset) continue;
+
+            let transition = time - day;
+            while (this.getTimezoneOffset(timezone, transition) === offset) {
+                transition += hour;
+            }
+            const next = this.getTimezoneOffset(timezone, transition);
+            observances.push({ start: transition + offset * 60 * 1000, from: offset, to: next });
+            offset = next;
+        }
+
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+        observances.forEach(({ start, from, to }) => {
+            const type = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+            lines.push(
+                `BEGIN:${type}`,
+                `DTSTART:${this.formatICSUTCDateTime(start).slice(0, -1)}`,
+                `TZOFFSETFROM:${this.formatICSOffset(from)}`,
+                `TZOFFSETTO:${this.formatICSOffset(to)}`,
+                `END:${type}`
+            );
+        });
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    // ICS Functions
+    // Each session becomes one weekly event from its first day in the term up
+    // to the term end, skipping holidays. `term` comes from getTermRange().
+    buildICS(sessions, term, { now = Date.now() } = {}) {
+        const { timezone, startDate, endDate, holidays } = term;
+        const until = this.formatICSUTCDateTime(
+            this.zonedTimeToUTC(timezone, endDate, 23 * 60 + 59) + 59 * 1000
+        );
+        const dtstamp = this.formatICSUTCDateTime(now);
+
+        const icsContent = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Course Schedule Manager//Course Schedule//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...this.buildVTimezone(timezone, startDate, endDate)
+        ];
+
+        sessions.forEach(session => {
+            const firstDate = this.getFirstSessionDate(session.day, startDate);
+            if (!firstDate || firstDate > endDate) return;
+
+            const startTime = this.formatICSTime(session.startTime);
+            const endTime = this.formatICSTime(session.endTime);
+            const uid = session.eventId
+                ? `${session.eventId}-${session.day}-${session.startTime}@coursescheduler.com`
+                : `${session.courseCode}-${session.day}-${session.startTime}@coursescheduler.com`;
+            const summary = session.eventId ? session.courseName : `${session.courseCode} - ${session.label || 'Class'}`;
+            const description = session.eventId ? 'Personal event' : `${session.courseName}\nRoom: ${session.classroom}`;
+            const exdates = this.getSessionExdates(firstDate, endDate, holidays)
+                .map(date => `${this.formatICSDate(date)}T${startTime}`);
+
+            icsContent.push(
+                'BEGIN:VEVENT',
+                `UID:${this.escapeICSText(uid)}`,
+                `DTSTAMP:${dtstamp}`,
+                `DTSTART;TZID=${timezone}:${this.formatICSDate(firstDate)}T${startTime}`,
+                `DTEND;TZID=${timezone}:${this.formatICSDate(firstDate)}T${endTime}`,
+                `SUMMARY:${this.escapeICSText(summary)}`,
+                `DESCRIPTION:${this.escapeICSText(description)}`,
+                `LOCATION:${this.escapeICSText(session.classroom)}`,
+                `RRULE:FREQ=WEEKLY;UNTIL=${until}`
+            );
+            if (exdates.length > 0) {
+                icsContent.push(`EXDATE;TZID=${timezone}:${exdates.join(',')}`);
+            }
+            icsContent.push(
+                'STATUS:CONFIRMED',
+                'SEQUENCE:0',
+                'END:VEVENT'
+            );
+        });
+
+        icsContent.push('END:VCALENDAR');
+
+        return icsContent.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+    }
+
+    formatICSDate(date) {
+        const year = date.getUTCFullYear();
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        return `${year}${month}${day}`;
+    }
+
+    formatICSTime(time) {
+        const [hours, minutes] = time.split(':');
+        return `${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+    }
+
+    formatICSUTCDateTime(utcMillis) {
+        const date = new Date(utcMillis);
+        const hour = String(date.getUTCHours()).padStart(2, '0');
+        const minute = String(date.getUTCMinutes()).padStart(2, '0');
+        const second = String(date.getUTCSeconds()).padStart(2, '0');
+        return `${this.formatICSDate(date)}T${hour}${minute}${second}Z`;
+    }
+
+    formatICSOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+        const mins = String(Math.abs(minutes) % 60).padStart(2, '0');
+        return `${sign}${hours}${mins}`;
+    }
+
+    escapeICSText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets are folded with CRLF + space (RFC 5545 3.1)
+    foldICSLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+
+        const chunks = [];
+        let current = '';
+        let currentBytes = 0;
+        let limit = 75;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            if (currentBytes + bytes > limit) {
+                chunks.push(current);
+                current = '';
+                currentBytes = 0;
+                limit = 74;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        chunks.push(current);
+
+        return chunks.join('\r\n ');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleCore;
+}
@@ -0,0 +1,108 @@
+// Service Worker - keeps the app usable without a network connection
+//
+// The app shell and vendored libraries are served from the cache and refreshed
+// in the background. JSON data (terms.json and each term's timetable) is
+// fetched from the network first; the last good copy of each file is kept and
+// served when offline, stamped with the time it was saved so the page can say
+// how old it is.
+
+const SHELL_CACHE = 'timetable-shell-v4';
+const DATA_CACHE = 'timetable-data-v2';
+const CACHED_AT_HEADER = 'X-Timetable-Cached-At';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'validator.js',
+    'schedule-core.js',
+    'importer.js',
+    'ics-parser.js',
+    'editor.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'vendor/html2canvas.min.js',
+    'vendor/jspdf.umd.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith('.json')) {
+        event.respondWith(fetchData(event.request, url.pathname));
+    } else {
+        event.respondWith(serveShell(event));
+    }
+});
+
+async function fetchData(request, key) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) {
+            await saveData(cache, key, response.clone());
+            return response;
+        }
+        return (await cache.match(key)) || response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Only a copy that parses as a timetable or a term list replaces the saved one
+async function saveData(cache, key, response) {
+    try {
+        const body = await response.text();
+        const data = JSON.parse(body);
+        if (!Array.isArray(data.timetable) && !Array.isArray(data.terms)) return;
+
+        await cache.put(key, new Response(body, {
+            headers: {
+                'Content-Type': 'application/json',
+                [CACHED_AT_HEADER]: new Date().toISOString()
+            }
+        }));
+    } catch (error) {
+        console.warn('Data not cached:', error);
+    }
+}
+
+// Cached first; the network copy refreshes the cache for the next visit, and
+// waitUntil keeps the worker alive until it is stored
+async function serveShell(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const update = fetch(request)
+        .then(async response => {
+            if (response.ok) await cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+    event.waitUntil(update);
+
+    return cached || update;
+}
@@ -0,0 +1,69 @@
+// Today view checks: run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeElement, loadPage } = require('./load-page.js');
+
+const { TimetableValidator, ScheduleCore, CourseScheduleManager } = loadPage();
+
+// Only the parts getAgenda and renderAgenda use. Term 1 December 2026 to
+// 31 March 2027; the Wednesday sessions overlap, then leave a gap.
+function createManager(sessions) {
+    const manager = Object.create(CourseScheduleManager.prototype);
+    manager.validator = new TimetableValidator();
+    manager.core = new ScheduleCore(manager.validator);
+    manager.termSettings = { startDate: '2026-12-01', endDate: '2027-03-31', holidays: '2026-12-09', timezone: 'UTC' };
+    manager.gridSettings = { view: 'today' };
+    manager.courseColors = {};
+    manager.elements = { agenda: new FakeElement() };
+    manager.getAllSessions = () => sessions;
+    return manager;
+}
+
+const session = (courseCode, startTime, endTime) =>
+    ({ courseCode, courseName: courseCode, label: 'Lecture', classroom: '', day: 'Wed', startTime, endTime });
+const wednesday = [session('LONG', '09:00', '12:00'), session('SHORT', '10:00', '11:00'), session('LATE', '13:00', '14:00')];
+
+const text = html => html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+const isoDate = agenda => agenda.date.toISOString().slice(0, 10);
+
+test('before the term the agenda shows its first teaching day', () => {
+    const manager = createManager(wednesday);
+    const now = Date.UTC(2026, 9, 19, 8);
+
+    assert.strictEqual(isoDate(manager.getAgenda(now)), '2026-12-02');
+    manager.renderAgenda(now);
+    assert.match(text(manager.elements.agenda.innerHTML), /Term starts on Tuesday /);
+    assert.doesNotMatch(manager.elements.agenda.innerHTML, /No more classes/);
+});
+
+test('during the term the agenda shows today, then the next teaching day', () => {
+    const manager = createManager(wednesday);
+
+    const morning = manager.getAgenda(Date.UTC(2026, 11, 2, 8));
+    assert.strictEqual(isoDate(morning), '2026-12-02');
+    assert.strictEqual(morning.offset, 0);
+
+    // After the last class on 2 December; 9 December is a holiday
+    const evening = manager.getAgenda(Date.UTC(2026, 11, 2, 15));
+    assert.strictEqual(isoDate(evening), '2026-12-16');
+    assert.strictEqual(evening.offset, 14);
+});
+
+test('free time before the next class counts from the session that ends last', () => {
+    const manager = createManager(wednesday);
+    manager.renderAgenda(Date.UTC(2026, 11, 2, 11, 30));
+
+    const html = text(manager.elements.agenda.innerHTML);
+    assert.match(html, /Next: LATE Lecture, starts in 1h 30m \(1h free before it\)/);
+    assert.match(html, /12:00 .*1h free .*13:00/);
+});
+
+test('after the term there are no more classes', () => {
+    const manager = createManager(wednesday);
+    const now = Date.UTC(2027, 3, 7, 8);
+
+    assert.strictEqual(manager.getAgenda(now), null);
+    manager.renderAgenda(now);
+    assert.strictEqual(text(manager.elements.agenda.innerHTML), 'No more classes this term.');
+});
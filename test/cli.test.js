@@ -0,0 +1,65 @@
+// Command line checks: run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { readBatch, getUniqueFileName } = require('../cli.js');
+
+const root = path.join(__dirname, '..');
+
+function withTempDir(callback) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'timetable-cli-'));
+    try {
+        return callback(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('readBatch reports the line number in the file', () => {
+    withTempDir(dir => {
+        const file = path.join(dir, 'cohorts.txt');
+        fs.writeFileSync(file, '# cohorts\n\nA: CSE232\nno colon here\n');
+
+        assert.throws(() => readBatch(file), { message: `${file} line 4: expected "<name>: CODE CODE ..."` });
+    });
+});
+
+test('readBatch splits codes on commas only when the line has one', () => {
+    withTempDir(dir => {
+        const file = path.join(dir, 'cohorts.txt');
+        fs.writeFileSync(file, 'A: CSE232 MTH535\r\nB: CSE 232, MTH 535\n');
+
+        assert.deepStrictEqual(readBatch(file), [
+            { name: 'A', codes: ['CSE232', 'MTH535'] },
+            { name: 'B', codes: ['CSE 232', 'MTH 535'] }
+        ]);
+    });
+});
+
+test('getUniqueFileName numbers names that give the same file', () => {
+    const used = new Set();
+    assert.deepStrictEqual(
+        ['Cohort A', 'cohort-a', 'Cohort/A', 'B', ''].map(name => getUniqueFileName(name, used)),
+        ['Cohort-A', 'cohort-a-2', 'Cohort-A-3', 'B', 'schedule']
+    );
+});
+
+test('a batch with clashing names writes every schedule', () => {
+    withTempDir(dir => {
+        const batch = path.join(dir, 'cohorts.txt');
+        const out = path.join(dir, 'out');
+        fs.writeFileSync(batch, 'Cohort A: CSE232\ncohort-a: MTH535\n');
+
+        const result = spawnSync(process.execPath, [
+            path.join(root, 'cli.js'), path.join(root, 'merged_timetable.json'), '--batch', batch, '--out', out
+        ], { encoding: 'utf8' });
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(fs.readdirSync(out).sort(), ['Cohort-A.json', 'cohort-a-2.json']);
+        assert.strictEqual(JSON.parse(fs.readFileSync(path.join(out, 'cohort-a-2.json'), 'utf8')).name, 'cohort-a');
+    });
+});
@@ -0,0 +1,103 @@
+// Calendar import checks: run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeElement, loadPage } = require('./load-page.js');
+
+const { ScheduleCore, ICSParser, CourseScheduleManager } = loadPage();
+
+function calendar(...events) {
+    return ['BEGIN:VCALENDAR', ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+}
+
+test('HTML in SUMMARY and LOCATION is shown as text on the grid', () => {
+    const { blocks } = new ICSParser().parse(calendar([
+        'SUMMARY:<img src=x onerror=alert(1)>',
+        'LOCATION:<b>Gym</b>',
+        'DTSTART:20260105T090000',
+        'DURATION:PT1H',
+        'RRULE:FREQ=WEEKLY'
+    ]), { timezone: 'UTC', now: Date.UTC(2026, 0, 1) });
+    assert.strictEqual(blocks.length, 1);
+
+    // Only the parts renderSession and showTooltip use
+    const manager = Object.create(CourseScheduleManager.prototype);
+    manager.core = new ScheduleCore();
+    manager.gridLayout = { startMinutes: 8 * 60, slotMinutes: 30, rowHeight: 40 };
+    manager.busyCalendars = [{ id: 'busy-1', name: 'gym.ics', visible: true, blocks }];
+    manager.elements = { tooltip: new FakeElement() };
+
+    const [session] = manager.getBusySessions();
+    const element = manager.renderSession(session, [], new FakeElement());
+    assert.match(element.innerHTML, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.doesNotMatch(element.innerHTML, /<img|<b>/);
+
+    manager.showTooltip({ clientX: 0, clientY: 0 }, session);
+    assert.doesNotMatch(manager.elements.tooltip.innerHTML, /<img|<b>/);
+});
+
+test('TZID times are moved into the term timezone', () => {
+    const { blocks } = new ICSParser().parse(calendar([
+        'SUMMARY:Standup',
+        'DTSTART;TZID=America/New_York:20260601T220000',
+        'DTEND;TZID=America/New_York:20260601T230000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE'
+    ]), { timezone: 'Asia/Kolkata', now: Date.UTC(2026, 5, 1) });
+
+    // 22:00 EDT on Monday is 07:30 IST on Tuesday
+    assert.strictEqual(blocks.map(({ day, startTime, endTime }) => `${day} ${startTime}-${endTime}`).join(', '), 'Tue 07:30-08:30, Thu 07:30-08:30');
+});
+
+test('COUNT series end after their last occurrence, minus EXDATE', () => {
+    const event = (title, ...extra) => [
+        `SUMMARY:${title}`,
+        'DTSTART;TZID=America/New_York:20260105T090000',
+        'DURATION:PT1H',
+        ...extra
+    ];
+    const { blocks, skipped } = new ICSParser().parse(calendar(
+        // The 9th occurrence is Monday 2 February
+        event('Running', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=9'),
+        event('Ended', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=8'),
+        event('Last one cancelled', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=9', 'EXDATE:20260202T140000Z'),
+        event('Moved', 'RECURRENCE-ID;TZID=America/New_York:20260105T090000')
+    ), { timezone: 'America/New_York', now: Date.UTC(2026, 1, 1) });
+
+    assert.strictEqual([...new Set(blocks.map(block => block.title))].join(', '), 'Running');
+    assert.strictEqual(skipped.map(({ title, reason }) => `${title}: ${reason}`).join('\n'), [
+        'Ended: recurrence has ended',
+        'Last one cancelled: recurrence has ended',
+        'Moved: changes a single occurrence'
+    ].join('\n'));
+});
+
+test('Rules with an INTERVAL above 1 are left out', () => {
+    const event = (title, rule) => [`SUMMARY:${title}`, 'DTSTART:20260105T090000', 'DURATION:PT1H', rule];
+    const { blocks, skipped } = new ICSParser().parse(calendar(
+        event('Weekly', 'RRULE:FREQ=WEEKLY;INTERVAL=1'),
+        event('Fortnightly', 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO'),
+        event('Every other day', 'RRULE:FREQ=DAILY;INTERVAL=2')
+    ), { timezone: 'UTC', now: Date.UTC(2026, 0, 1) });
+
+    assert.strictEqual(blocks.map(block => block.title).join(', '), 'Weekly');
+    assert.strictEqual(skipped.map(({ title, reason }) => `${title}: ${reason}`).join('\n'), [
+        'Fortnightly: repeats less often than weekly',
+        'Every other day: repeats less often than weekly'
+    ].join('\n'));
+});
+
+test('Events past midnight continue on the next day', () => {
+    const { blocks, skipped } = new ICSParser().parse(calendar(
+        ['SUMMARY:Night shift', 'DTSTART:20260110T220000', 'DURATION:PT4H', 'RRULE:FREQ=WEEKLY'],
+        ['SUMMARY:Late', 'DTSTART:20260110T235900', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY'],
+        ['SUMMARY:Retreat', 'DTSTART:20260110T090000', 'DURATION:P1D', 'RRULE:FREQ=WEEKLY']
+    ), { timezone: 'UTC', now: Date.UTC(2026, 0, 1) });
+
+    // 10 January 2026 is a Saturday, so the rest wraps round to Sunday
+    assert.strictEqual(blocks.map(({ title, day, startTime, endTime }) => `${title} ${day} ${startTime}-${endTime}`).join('\n'), [
+        'Night shift Sat 22:00-23:59',
+        'Night shift Sun 00:00-02:00',
+        'Late Sun 00:00-00:59'
+    ].join('\n'));
+    assert.strictEqual(skipped.map(({ title, reason }) => `${title}: ${reason}`).join('\n'), 'Retreat: lasts a day or longer');
+});
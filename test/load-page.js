@@ -0,0 +1,43 @@
+// Loads the page scripts for the tests. They are plain browser files, so they
+// run in a vm context with just enough of a DOM for the code under test.
+// Arrays made in that context fail deepStrictEqual, so tests compare
+// results as strings.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class FakeElement {
+    constructor() {
+        this.style = {};
+        this.children = [];
+        this.attributes = {};
+        this.innerHTML = '';
+        this.classList = { add() {}, remove() {}, contains: () => true };
+    }
+
+    setAttribute(name, value) { this.attributes[name] = String(value); }
+    removeAttribute(name) { delete this.attributes[name]; }
+    addEventListener() {}
+    appendChild(child) { this.children.push(child); }
+    querySelector() { return this; }
+    getBoundingClientRect() { return { width: 0, height: 0 }; }
+}
+
+function loadPage() {
+    const context = {
+        console,
+        Intl,
+        document: { createElement: () => new FakeElement(), addEventListener() {} },
+        navigator: {},
+        location: { protocol: 'file:' },
+        window: { innerWidth: 1024, innerHeight: 768, addEventListener() {} }
+    };
+    vm.createContext(context);
+    ['validator.js', 'schedule-core.js', 'ics-parser.js', 'app.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    });
+    return vm.runInContext('({ TimetableValidator, ScheduleCore, ICSParser, CourseScheduleManager })', context);
+}
+
+module.exports = { FakeElement, loadPage };
@@ -0,0 +1,55 @@
+// Schedule core checks: run with `node --test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TimetableValidator = require('../validator.js');
+const ScheduleCore = require('../schedule-core.js');
+
+const core = new ScheduleCore(new TimetableValidator());
+
+function getEvents(ics) {
+    return ics.split('\r\n')
+        .join('\n').replace(/\n[ \t]/g, '')
+        .split('BEGIN:VEVENT').slice(1)
+        .map(block => block.split('END:VEVENT')[0].trim().split('\n'));
+}
+
+test('buildICS repeats each session until the end of the term', () => {
+    const term = core.getTermRange({ startDate: '2025-08-04', endDate: '2025-11-28', holidays: '', timezone: 'Asia/Kolkata' });
+    const ics = core.buildICS([
+        { courseCode: 'CSE232', courseName: 'Computer Networks', classroom: 'C11', label: 'Lecture', day: 'Wed', startTime: '09:30', endTime: '11:00' }
+    ], term, { now: Date.UTC(2025, 7, 1) });
+
+    const [event] = getEvents(ics);
+    assert.ok(event.includes('DTSTART;TZID=Asia/Kolkata:20250806T093000'));
+    assert.ok(event.includes('DTEND;TZID=Asia/Kolkata:20250806T110000'));
+    // 23:59:59 on 28 November in Kolkata is 18:29:59 UTC
+    assert.ok(event.includes('RRULE:FREQ=WEEKLY;UNTIL=20251128T182959Z'));
+    assert.ok(!event.some(line => line.startsWith('EXDATE')));
+});
+
+test('buildICS leaves out holidays on the session day with EXDATE', () => {
+    const term = core.getTermRange({
+        startDate: '2025-08-04',
+        endDate: '2025-11-28',
+        holidays: '2025-10-02, 2025-10-20..2025-10-24',
+        timezone: 'Asia/Kolkata'
+    });
+    const ics = core.buildICS([
+        { courseCode: 'MTH535', courseName: 'Topology', classroom: 'B002', label: 'Lecture', day: 'Thu', startTime: '14:00', endTime: '15:30' },
+        { courseCode: 'BIO549', courseName: 'Genomics', classroom: 'A006', label: 'Lecture', day: 'Sat', startTime: '10:00', endTime: '11:00' }
+    ], term, { now: Date.UTC(2025, 7, 1) });
+
+    const [thursday, saturday] = getEvents(ics);
+    assert.ok(thursday.includes('EXDATE;TZID=Asia/Kolkata:20251002T140000,20251023T140000'));
+    assert.ok(!saturday.some(line => line.startsWith('EXDATE')));
+});
+
+test('buildICS skips sessions whose day never falls in the term', () => {
+    const term = core.getTermRange({ startDate: '2025-08-04', endDate: '2025-08-06', holidays: '', timezone: 'UTC' });
+    const ics = core.buildICS([
+        { courseCode: 'BIO549', courseName: 'Genomics', classroom: 'A006', label: 'Lecture', day: 'Fri', startTime: '10:00', endTime: '11:00' }
+    ], term);
+
+    assert.strictEqual(getEvents(ics).length, 0);
+});
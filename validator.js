@@ -0,0 +1,200 @@
+// Timetable Validator - checks and normalizes timetable data before use
+//
+// Problems come back in one of two severities:
+//   error   - the course or session could not be used and was left out
+//   warning - the entry was kept, possibly after being normalized
+
+class TimetableValidator {
+    constructor() {
+        this.days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    }
+
+    validate(timetable) {
+        const problems = [];
+        const courses = [];
+        const seenCodes = new Set();
+
+        if (!Array.isArray(timetable)) {
+            problems.push({ severity: 'error', where: 'timetable', message: 'expected an array of courses' });
+            return { courses, problems };
+        }
+
+        timetable.forEach((course, courseIndex) => {
+            const fallbackName = `Course #${courseIndex + 1}`;
+            const report = (severity, message, where = fallbackName) => problems.push({ severity, where, message });
+
+            if (!course || typeof course !== 'object') {
+                report('error', 'is not an object');
+                return;
+            }
+
+            const courseCode = this.cleanString(course.courseCode);
+            if (!courseCode) {
+                report('error', 'course code is required');
+                return;
+            }
+            if (seenCodes.has(courseCode)) {
+                report('error', 'duplicate course code, this entry was ignored', courseCode);
+                return;
+            }
+            seenCodes.add(courseCode);
+
+            let courseName = this.cleanString(course.courseName);
+            if (!courseName) {
+                report('warning', 'course name is missing, using the course code', courseCode);
+                courseName = courseCode;
+            }
+
+            const classroom = this.cleanString(course.classroom);
+            if (!classroom) {
+                report('warning', 'classroom is blank', courseCode);
+            }
+
+            let rawSessions = course.sessions;
+            if (!Array.isArray(rawSessions)) {
+                report('error', 'sessions must be an array', courseCode);
+                rawSessions = [];
+            }
+
+            const sessions = [];
+            rawSessions.forEach((session, sessionIndex) => {
+                const normalized = this.validateSession(session, `${courseCode} session ${sessionIndex + 1}`, problems);
+                if (normalized) {
+                    sessions.push(normalized);
+                }
+            });
+
+            if (sessions.length === 0) {
+                report('warning', 'has no usable sessions', courseCode);
+            }
+
+            const aliases = this.parseCourseAliases(courseCode).map(({ alias }) => alias);
+
+            courses.push({ ...course, courseCode, courseName, classroom, aliases, sessions });
+        });
+
+        return { courses, problems };
+    }
+
+    validateSession(session, where, problems) {
+        const report = (severity, message) => problems.push({ severity, where, message });
+
+        if (!session || typeof session !== 'object') {
+            report('error', 'is not an object');
+            return null;
+        }
+
+        const day = this.normalizeDay(session.day);
+        const startTime = this.normalizeTime(session.startTime);
+        const endTime = this.normalizeTime(session.endTime);
+        let usable = true;
+
+        if (!day) {
+            report('error', `unknown day "${session.day ?? ''}"`);
+            usable = false;
+        } else if (day !== session.day) {
+            report('warning', `day "${session.day}" read as ${day}`);
+        }
+
+        [['start', session.startTime, startTime], ['end', session.endTime, endTime]].forEach(([name, raw, value]) => {
+            if (!value) {
+                report('error', `${name} time "${raw ?? ''}" is not HH:MM`);
+                usable = false;
+            } else if (value !== raw) {
+                report('warning', `${name} time "${raw}" read as ${value}`);
+            }
+        });
+
+        if (startTime && endTime && endTime <= startTime) {
+            report('error', `end time ${endTime} must be after start time ${startTime}`);
+            usable = false;
+        }
+
+        if (!usable) return null;
+
+        const label = this.cleanString(session.label);
+        if (!label) {
+            report('warning', 'label is blank');
+        }
+
+        return {
+            ...session,
+            label,
+            slotCode: this.cleanString(session.slotCode) || null,
+            day,
+            startTime,
+            endTime
+        };
+    }
+
+    // Splits cross-listed codes into their individual codes, filling in the
+    // department prefix for shorthand entries:
+    //   "CSE347/CSE547/DES525" -> CSE347, CSE547, DES525
+    //   "SOC302/507"           -> SOC302, SOC507
+    //   "CSE643 - A"           -> CSE643
+    // Each alias keeps the [start, end) span of the code text it came from.
+    parseCourseAliases(courseCode) {
+        const aliases = [];
+        let prefix = '';
+        let offset = 0;
+
+        courseCode.split('/').forEach(part => {
+            const start = offset + (part.length - part.trimStart().length);
+            const code = this.getBaseCourseCode(part.trim());
+            const end = start + code.length;
+            offset += part.length + 1;
+
+            const full = /^([A-Za-z]+)\s*(\d+[A-Za-z]?)$/.exec(code);
+            if (full) {
+                prefix = full[1].toUpperCase();
+                aliases.push({ alias: prefix + full[2].toUpperCase(), start, end });
+            } else if (prefix && /^\d+[A-Za-z]?$/.test(code)) {
+                aliases.push({ alias: prefix + code.toUpperCase(), start, end });
+            } else if (code) {
+                aliases.push({ alias: this.normalizeCode(code), start, end });
+            }
+        });
+
+        return aliases;
+    }
+
+    // Parallel sections ("CSE643 - A", "CSE232-B") share a base course code
+    getBaseCourseCode(courseCode) {
+        return courseCode.replace(/\s*-\s*[A-Z]\d?$/, '').trim();
+    }
+
+    normalizeCode(value) {
+        return value.toUpperCase().replace(/[\s\-_]/g, '');
+    }
+
+    cleanString(value) {
+        return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+    }
+
+    normalizeDay(value) {
+        const key = this.cleanString(value).slice(0, 3).toLowerCase();
+        return this.days.find(day => day.toLowerCase() === key) || null;
+    }
+
+    // Accepts 9:30, 09.30, 0930 and 12-hour forms such as 2:00 PM
+    normalizeTime(value) {
+        const match = /^(\d{1,2})[:.]?(\d{2})\s*([ap]\.?m\.?)?$/i.exec(this.cleanString(value));
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) return null;
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableValidator;
+}